@@ -0,0 +1,89 @@
+/**
+ * Typed errors raised by AI providers
+ */
+
+/**
+ * Base class for every AI provider failure
+ */
+export class AIProviderError extends Error {
+  constructor(message, { provider, status, retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = 'AIProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The API key is missing, invalid or lacks access to the model
+ */
+export class AIAuthError extends AIProviderError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: false });
+    this.name = 'AIAuthError';
+  }
+}
+
+/**
+ * The provider is throttling requests (HTTP 429)
+ */
+export class AIRateLimitError extends AIProviderError {
+  constructor(message, { retryAfterMs, ...options } = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'AIRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The prompt doesn't fit in the model's context window
+ */
+export class AIContextLengthError extends AIProviderError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: false });
+    this.name = 'AIContextLengthError';
+  }
+}
+
+/**
+ * The provider answered, but not in the shape we expected
+ */
+export class AIBadResponseError extends AIProviderError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: false });
+    this.name = 'AIBadResponseError';
+  }
+}
+
+/**
+ * The request didn't complete within the configured timeout
+ */
+export class AITimeoutError extends AIProviderError {
+  constructor(message, options) {
+    super(message, { ...options, retryable: true });
+    this.name = 'AITimeoutError';
+  }
+}
+
+/**
+ * Explain an AI failure in terms a user can act on
+ */
+export function describeAIError(error) {
+  if (error instanceof AIAuthError) {
+    return `authentication failed for ${error.provider} - check the API key`;
+  }
+  if (error instanceof AIRateLimitError) {
+    return `${error.provider} is rate limiting requests and retries were exhausted`;
+  }
+  if (error instanceof AIContextLengthError) {
+    return `the prompt is too long for the ${error.provider} model`;
+  }
+  if (error instanceof AIBadResponseError) {
+    return `${error.provider} returned an unexpected response`;
+  }
+  if (error instanceof AITimeoutError) {
+    return `${error.provider} did not respond in time`;
+  }
+  return error.message;
+}
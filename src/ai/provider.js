@@ -1,20 +1,35 @@
+import {
+  AIProviderError,
+  AIAuthError,
+  AIRateLimitError,
+  AIContextLengthError,
+  AIBadResponseError,
+  AITimeoutError
+} from './errors.js';
+import { validateSchema, parseJsonOutput } from './schema.js';
+
 /**
  * Abstract AI Provider Interface
  * Makes it easy to switch between OpenAI, Anthropic, or Ollama
  */
 class AIProvider {
-  constructor() {
-    const provider = process.env.AI_PROVIDER || 'openai';
-    
+  /**
+   * @param {Object} options
+   * @param {string} options.provider - Overrides AI_PROVIDER
+   * @param {string} options.model - Overrides the provider's *_MODEL setting
+   */
+  constructor(options = {}) {
+    const provider = options.provider || process.env.AI_PROVIDER || 'openai';
+
     switch (provider.toLowerCase()) {
       case 'openai':
-        this.client = new OpenAIProvider();
+        this.client = new OpenAIProvider(options.model);
         break;
       case 'anthropic':
-        this.client = new AnthropicProvider();
+        this.client = new AnthropicProvider(options.model);
         break;
       case 'ollama':
-        this.client = new OllamaProvider();
+        this.client = new OllamaProvider(options.model);
         break;
       default:
         throw new Error(`Unknown AI provider: ${provider}`);
@@ -22,28 +37,284 @@ class AIProvider {
   }
 
   async generateCompletion(systemPrompt, userPrompt) {
+    console.debug(`  [ai] ${this.client.name} ${this.client.model}: completion`);
     return this.client.generateCompletion(systemPrompt, userPrompt);
   }
+
+  /**
+   * Send a minimal request to check the provider is reachable and the key works
+   */
+  async ping() {
+    const reply = await this.client.generateCompletion('You are a health check.', 'Reply with the single word OK.');
+    return { provider: this.client.name, model: this.client.model, reply: reply.trim() };
+  }
+
+  /**
+   * Generate a JSON object that validates against the given JSON schema
+   */
+  async generateStructured(systemPrompt, userPrompt, schema) {
+    console.debug(`  [ai] ${this.client.name} ${this.client.model}: structured`);
+    return this.client.generateStructured(systemPrompt, userPrompt, schema);
+  }
+}
+
+/**
+ * Base class for provider backends
+ * Handles timeouts, retries with exponential backoff and error classification
+ */
+class BaseProvider {
+  constructor(name) {
+    this.name = name;
+    this.timeoutMs = Number(process.env.AI_TIMEOUT_MS) || 60000;
+    this.maxRetries = Number(process.env.AI_MAX_RETRIES ?? 3);
+    this.baseDelayMs = 1000;
+    this.maxDelayMs = 30000;
+    this.maxRepairs = 2;
+  }
+
+  async generateCompletion(systemPrompt, userPrompt) {
+    return this.withRetry(() => this.complete(systemPrompt, userPrompt));
+  }
+
+  /**
+   * Generate schema-valid JSON, re-prompting with the validation errors
+   * when the model's output doesn't parse or doesn't match the schema
+   */
+  async generateStructured(systemPrompt, userPrompt, schema) {
+    let prompt = userPrompt;
+    let lastErrors = [];
+
+    for (let attempt = 0; attempt <= this.maxRepairs; attempt++) {
+      const output = await this.withRetry(() => this.completeStructured(systemPrompt, prompt, schema));
+
+      let value;
+      try {
+        value = parseJsonOutput(output);
+        lastErrors = validateSchema(value, schema);
+      } catch (error) {
+        lastErrors = [`output is not valid JSON: ${error.message}`];
+      }
+
+      if (lastErrors.length === 0) {
+        return value;
+      }
+
+      prompt = buildRepairPrompt(userPrompt, output, lastErrors);
+    }
+
+    throw new AIBadResponseError(
+      `${this.name} output did not match the schema: ${lastErrors.join('; ')}`,
+      { provider: this.name }
+    );
+  }
+
+  /**
+   * Send a single completion request (implemented by each backend)
+   */
+  async complete() {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Send a single structured request; backends with a native JSON mode override this
+   */
+  async completeStructured(systemPrompt, userPrompt, schema) {
+    return this.complete(
+      `${systemPrompt}\n\nRespond only with a JSON object matching this JSON schema:\n${JSON.stringify(schema)}`,
+      userPrompt
+    );
+  }
+
+  /**
+   * Run an operation, retrying retryable failures with exponential backoff
+   */
+  async withRetry(operation) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        const typedError = error instanceof AIProviderError ? error : this.classifyError(error);
+
+        if (!typedError.retryable || attempt >= this.maxRetries) {
+          throw typedError;
+        }
+
+        const delay = this.getRetryDelay(attempt, typedError);
+        console.warn(`  ⏳ ${this.name} request failed (${typedError.message}), retrying in ${Math.round(delay / 1000)}s...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Backoff delay for a retry, honoring Retry-After when the provider sent one
+   */
+  getRetryDelay(attempt, error) {
+    if (error.retryAfterMs !== undefined) {
+      return Math.min(error.retryAfterMs, this.maxDelayMs);
+    }
+
+    const exponential = this.baseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * this.baseDelayMs;
+    return Math.min(exponential + jitter, this.maxDelayMs);
+  }
+
+  /**
+   * POST JSON with a timeout and turn HTTP failures into typed errors
+   */
+  async postJson(url, headers, body) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw this.classifyError(error);
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      if (response.ok) {
+        throw new AIBadResponseError(`${this.name} returned invalid JSON`, { provider: this.name, status: response.status, cause: error });
+      }
+      data = { error: text };
+    }
+
+    if (!response.ok) {
+      throw this.classifyHttpError(response.status, data, response.headers.get('retry-after'));
+    }
+
+    return data;
+  }
+
+  /**
+   * Map an HTTP error response to a typed error
+   */
+  classifyHttpError(status, body, retryAfter) {
+    const message = extractErrorMessage(body) || `HTTP ${status}`;
+    const options = { provider: this.name, status };
+
+    if (status === 401 || status === 403) {
+      return new AIAuthError(`${this.name} authentication failed: ${message}`, options);
+    }
+    if (status === 429) {
+      return new AIRateLimitError(`${this.name} rate limit: ${message}`, { ...options, retryAfterMs: parseRetryAfter(retryAfter) });
+    }
+    if (isContextLengthMessage(message, body)) {
+      return new AIContextLengthError(`${this.name} context length exceeded: ${message}`, options);
+    }
+    if (status >= 500) {
+      return new AIProviderError(`${this.name} server error: ${message}`, { ...options, retryable: true });
+    }
+    return new AIProviderError(`${this.name} request failed: ${message}`, options);
+  }
+
+  /**
+   * Map a thrown error (network failure, abort, SDK error) to a typed error
+   */
+  classifyError(error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError' || error.name === 'APIConnectionTimeoutError') {
+      return new AITimeoutError(`${this.name} request timed out after ${this.timeoutMs}ms`, { provider: this.name, cause: error });
+    }
+
+    if (typeof error.status === 'number') {
+      const typedError = this.classifyHttpError(error.status, error.error ?? error.message, error.headers?.['retry-after']);
+      typedError.cause = error;
+      return typedError;
+    }
+
+    // Network-level failures (DNS, connection reset) are worth retrying
+    return new AIProviderError(`${this.name} request failed: ${error.message}`, { provider: this.name, retryable: true, cause: error });
+  }
+}
+
+/**
+ * Ask the model to fix output that failed validation
+ */
+function buildRepairPrompt(userPrompt, output, errors) {
+  const previous = typeof output === 'string' ? output : JSON.stringify(output);
+
+  return `${userPrompt}
+
+Your previous response was invalid:
+${previous}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with only a corrected JSON object.`;
+}
+
+/**
+ * Pull a human-readable message out of a provider error body
+ */
+function extractErrorMessage(body) {
+  if (!body) return '';
+  if (typeof body === 'string') return body;
+  if (typeof body.error === 'string') return body.error;
+  return body.error?.message || body.message || '';
+}
+
+/**
+ * Detect the different ways providers report an oversized prompt
+ */
+function isContextLengthMessage(message, body) {
+  return body?.error?.code === 'context_length_exceeded' ||
+    body?.code === 'context_length_exceeded' ||
+    /context length|context window|too many tokens|prompt is too long|maximum context/i.test(message);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return undefined;
 }
 
 /**
  * OpenAI Provider Implementation
  */
-class OpenAIProvider {
-  constructor() {
-    import('openai').then(module => {
-      this.openai = new module.default({
-        apiKey: process.env.OPENAI_API_KEY
+class OpenAIProvider extends BaseProvider {
+  constructor(model) {
+    super('OpenAI');
+    this.model = model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  }
+
+  /**
+   * Lazily create the SDK client once and reuse it
+   */
+  async getClient() {
+    if (!this.openai) {
+      const OpenAI = (await import('openai')).default;
+      this.openai = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        timeout: this.timeoutMs,
+        // Retries are handled by BaseProvider
+        maxRetries: 0
       });
-    });
+    }
+    return this.openai;
   }
 
-  async generateCompletion(systemPrompt, userPrompt) {
-    const OpenAI = (await import('openai')).default;
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
+  async complete(systemPrompt, userPrompt) {
+    const openai = await this.getClient();
+
     const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      model: this.model,
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
@@ -51,55 +322,128 @@ class OpenAIProvider {
       temperature: 0.7,
     });
 
-    return response.choices[0].message.content;
+    const content = response?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new AIBadResponseError('OpenAI response contained no message content', { provider: this.name });
+    }
+    return content;
+  }
+
+  async completeStructured(systemPrompt, userPrompt, schema) {
+    const openai = await this.getClient();
+
+    const response = await openai.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.2,
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema, strict: false }
+      }
+    });
+
+    const content = response?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new AIBadResponseError('OpenAI response contained no message content', { provider: this.name });
+    }
+    return content;
   }
 }
 
 /**
  * Anthropic Provider Implementation
  */
-class AnthropicProvider {
-  async generateCompletion(systemPrompt, userPrompt) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: userPrompt }
-        ]
-      })
+class AnthropicProvider extends BaseProvider {
+  constructor(model) {
+    super('Anthropic');
+    this.model = model || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+  }
+
+  async complete(systemPrompt, userPrompt) {
+    const data = await this.postJson('https://api.anthropic.com/v1/messages', {
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    }, {
+      model: this.model,
+      max_tokens: 4096,
+      system: systemPrompt,
+      messages: [
+        { role: 'user', content: userPrompt }
+      ]
+    });
+
+    const text = data.content?.find(block => block.type === 'text')?.text;
+    if (typeof text !== 'string') {
+      throw new AIBadResponseError('Anthropic response contained no text content', { provider: this.name });
+    }
+    return text;
+  }
+
+  /**
+   * Anthropic has no JSON mode, so force a tool call whose input schema is the output schema
+   */
+  async completeStructured(systemPrompt, userPrompt, schema) {
+    const data = await this.postJson('https://api.anthropic.com/v1/messages', {
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    }, {
+      model: this.model,
+      max_tokens: 4096,
+      system: systemPrompt,
+      tools: [
+        { name: 'respond', description: 'Return the structured response.', input_schema: schema }
+      ],
+      tool_choice: { type: 'tool', name: 'respond' },
+      messages: [
+        { role: 'user', content: userPrompt }
+      ]
     });
 
-    const data = await response.json();
-    return data.content[0].text;
+    const toolUse = data.content?.find(block => block.type === 'tool_use');
+    if (!toolUse) {
+      throw new AIBadResponseError('Anthropic response contained no tool call', { provider: this.name });
+    }
+    return toolUse.input;
   }
 }
 
 /**
  * Ollama Provider Implementation (Free local models)
  */
-class OllamaProvider {
-  async generateCompletion(systemPrompt, userPrompt) {
-    const baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
-    
-    const response = await fetch(`${baseUrl}/api/generate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: process.env.OLLAMA_MODEL || 'llama2',
-        prompt: `${systemPrompt}\n\n${userPrompt}`,
-        stream: false
-      })
+class OllamaProvider extends BaseProvider {
+  constructor(model) {
+    super('Ollama');
+    this.baseUrl = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    this.model = model || process.env.OLLAMA_MODEL || 'llama2';
+  }
+
+  async complete(systemPrompt, userPrompt) {
+    const data = await this.postJson(`${this.baseUrl}/api/generate`, {}, {
+      model: this.model,
+      prompt: `${systemPrompt}\n\n${userPrompt}`,
+      stream: false
     });
 
-    const data = await response.json();
+    if (typeof data.response !== 'string') {
+      throw new AIBadResponseError('Ollama response contained no text', { provider: this.name });
+    }
+    return data.response;
+  }
+
+  async completeStructured(systemPrompt, userPrompt, schema) {
+    const data = await this.postJson(`${this.baseUrl}/api/generate`, {}, {
+      model: this.model,
+      prompt: `${systemPrompt}\n\n${userPrompt}`,
+      format: schema,
+      stream: false
+    });
+
+    if (typeof data.response !== 'string') {
+      throw new AIBadResponseError('Ollama response contained no text', { provider: this.name });
+    }
     return data.response;
   }
 }
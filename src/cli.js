@@ -0,0 +1,271 @@
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import dotenv from 'dotenv';
+
+/**
+ * Command-line parsing and help for src/index.js
+ */
+
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  CONFIG: 3
+};
+
+/**
+ * Raised for bad commands or flags (exits with EXIT_CODES.USAGE)
+ */
+export class CliUsageError extends Error {
+  constructor(message, command) {
+    super(message);
+    this.name = 'CliUsageError';
+    this.command = command;
+  }
+}
+
+// Flags every command accepts
+const COMMON_OPTIONS = {
+  help: { type: 'boolean', short: 'h', description: 'Show help for this command' },
+  verbose: { type: 'boolean', short: 'v', description: 'Print extra detail' },
+  quiet: { type: 'boolean', short: 'q', description: 'Only print errors' },
+  json: { type: 'boolean', description: 'Print the result as JSON on stdout' },
+  provider: { type: 'string', description: 'AI provider: openai, anthropic or ollama (overrides AI_PROVIDER)' },
+  model: { type: 'string', description: 'Model name for the selected provider' }
+};
+
+const FILTER_OPTIONS = {
+  profile: { type: 'string', description: 'Only use these Canvas profiles (comma-separated names from CANVAS_PROFILES)' },
+  course: { type: 'string', description: 'Only include courses whose name, code or ID matches' },
+  since: { type: 'string', description: 'Only include assignments due on or after this date (YYYY-MM-DD)' },
+  until: { type: 'string', description: 'Only include assignments due on or before this date (YYYY-MM-DD)' }
+};
+
+export const COMMANDS = {
+  weekly: {
+    summary: 'Run weekly review',
+    options: {
+      profile: FILTER_OPTIONS.profile,
+      course: FILTER_OPTIONS.course,
+      'days-ahead': { type: 'string', description: 'How many days ahead to include (default 7)' }
+    }
+  },
+  daily: {
+    summary: 'Run daily update',
+    options: { ...FILTER_OPTIONS }
+  },
+  sync: {
+    summary: 'Sync Canvas tasks to Notion',
+    options: {
+      ...FILTER_OPTIONS,
+      'dry-run': { type: 'boolean', description: 'Show planned changes without writing to Notion' }
+    }
+  },
+  init: {
+    summary: 'Create the Notion task, review, update and course databases',
+    options: {
+      parent: { type: 'string', description: 'Notion page to create the databases in (overrides NOTION_PARENT_PAGE_ID)' }
+    }
+  },
+  migrate: {
+    summary: 'Add missing properties and options to existing Notion databases',
+    options: {
+      'dry-run': { type: 'boolean', description: 'Show planned changes without writing to Notion' }
+    }
+  },
+  login: {
+    summary: 'Connect Canvas accounts with OAuth instead of access tokens',
+    options: {
+      profile: { type: 'string', description: 'Only log in to these Canvas profiles (comma-separated)' },
+      port: { type: 'string', description: 'Local port for the OAuth callback (overrides CANVAS_OAUTH_PORT)' }
+    }
+  },
+  'export-ics': {
+    summary: 'Write synced tasks to an iCalendar file',
+    options: {
+      course: FILTER_OPTIONS.course,
+      output: { type: 'string', description: 'File to write (overrides ICS_FILE, default canvas-planner.ics)' },
+      'study-blocks': { type: 'boolean', description: 'Include scheduled study blocks' }
+    }
+  },
+  serve: {
+    summary: 'Serve synced tasks as a calendar feed to subscribe to',
+    options: {
+      course: FILTER_OPTIONS.course,
+      port: { type: 'string', description: 'Port to listen on (overrides ICS_PORT, default 8787)' },
+      'study-blocks': { type: 'boolean', description: 'Include scheduled study blocks' }
+    }
+  },
+  doctor: {
+    summary: 'Check configuration and connections to Canvas, Notion and the AI provider',
+    options: {}
+  },
+  test: {
+    summary: 'Run all jobs for testing',
+    options: {}
+  },
+  help: {
+    summary: 'Show help for a command',
+    usage: 'help [command]',
+    options: {}
+  }
+};
+
+/**
+ * Parse a YYYY-MM-DD (or ISO) date flag
+ */
+function parseDateFlag(name, value, command, endOfDay = false) {
+  if (value === undefined) return undefined;
+
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new CliUsageError(`Invalid date for --${name}: ${value}`, command);
+  }
+  return date;
+}
+
+/**
+ * Parse a positive integer flag
+ */
+function parseIntegerFlag(name, value, command) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new CliUsageError(`--${name} must be a positive whole number, got: ${value}`, command);
+  }
+  return number;
+}
+
+/**
+ * Parse argv into a command and normalized options
+ */
+export function parseCli(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || command === '--help' || command === '-h') {
+    return { command: 'help', options: {} };
+  }
+
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new CliUsageError(`Unknown command: ${command}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...COMMON_OPTIONS, ...definition.options },
+      allowPositionals: command === 'help',
+      strict: true
+    });
+  } catch (error) {
+    throw new CliUsageError(error.message, command);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.verbose && values.quiet) {
+    throw new CliUsageError('--verbose and --quiet cannot be used together', command);
+  }
+
+  const options = {
+    help: values.help,
+    verbose: values.verbose,
+    quiet: values.quiet,
+    json: values.json,
+    provider: values.provider,
+    model: values.model,
+    profile: values.profile,
+    course: values.course,
+    since: parseDateFlag('since', values.since, command),
+    until: parseDateFlag('until', values.until, command, true),
+    daysAhead: parseIntegerFlag('days-ahead', values['days-ahead'], command),
+    port: parseIntegerFlag('port', values.port, command),
+    dryRun: values['dry-run'],
+    parent: values.parent,
+    output: values.output,
+    studyBlocks: values['study-blocks'],
+    topic: positionals[0]
+  };
+
+  if (options.since && options.until && options.since > options.until) {
+    throw new CliUsageError('--since must be before --until', command);
+  }
+
+  return { command, options };
+}
+
+/**
+ * Format help for every command, or for one command
+ */
+export function formatHelp(command) {
+  const lines = [];
+
+  if (!command || !COMMANDS[command]) {
+    lines.push('Usage: node src/index.js <command> [options]', '', 'Commands:');
+    for (const [name, definition] of Object.entries(COMMANDS)) {
+      lines.push(`  ${name.padEnd(10)} ${definition.summary}`);
+    }
+    lines.push('', 'Run "node src/index.js help <command>" for command options.');
+    lines.push('', `Exit codes: ${EXIT_CODES.OK} success, ${EXIT_CODES.FAILURE} job failed, ${EXIT_CODES.USAGE} invalid usage, ${EXIT_CODES.CONFIG} invalid configuration`);
+    return lines.join('\n');
+  }
+
+  const definition = COMMANDS[command];
+  lines.push(`Usage: node src/index.js ${definition.usage || `${command} [options]`}`, '', definition.summary, '', 'Options:');
+
+  const options = command === 'help' ? {} : { ...definition.options, ...COMMON_OPTIONS };
+  for (const [name, option] of Object.entries(options)) {
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+    lines.push(`  ${flag.padEnd(26)} ${option.description}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Route console output according to --verbose, --quiet and --json
+ * @returns {Function} Writer for the command's result on stdout
+ */
+export function configureOutput({ verbose, quiet, json }) {
+  const stdout = console.log.bind(console);
+  const stderr = console.error.bind(console);
+
+  // Keep stdout clean for JSON output; progress goes to stderr instead
+  if (json) {
+    console.log = stderr;
+    console.info = stderr;
+  }
+
+  if (quiet) {
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+  }
+
+  console.debug = verbose ? (json ? stderr : stdout) : () => {};
+
+  return stdout;
+}
+
+/**
+ * Run a job if its module was started directly (e.g. node src/jobs/task-sync.js),
+ * with the CLI's default output and exit code on failure
+ * @param {string} moduleUrl - The job module's import.meta.url
+ * @param {Function} job - Job to run with default options
+ */
+export async function runIfMain(moduleUrl, job) {
+  if (!process.argv[1] || moduleUrl !== pathToFileURL(process.argv[1]).href) return;
+
+  dotenv.config();
+  configureOutput({});
+
+  try {
+    await job();
+  } catch {
+    // Jobs log their own errors
+    process.exitCode = EXIT_CODES.FAILURE;
+  }
+}
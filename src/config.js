@@ -0,0 +1,267 @@
+import { getFieldOwners } from './sync/field-ownership.js';
+import { parseAvailability } from './planning/scheduler.js';
+import { loadUrgencyConfig } from './planning/urgency.js';
+import { loadPropertyNames } from './integrations/notion-schema.js';
+import { parseItemSources } from './integrations/canvas-items.js';
+import { validateCanvasProfiles } from './integrations/canvas-profiles.js';
+import { loadRemovalConfig, REMOVAL_POLICIES } from './sync/removed-tasks.js';
+
+/**
+ * Environment configuration
+ *
+ * Every setting the planner reads is declared here so it can be validated
+ * once at startup, with clear messages for missing, malformed or misnamed
+ * variables, instead of failing halfway through a job.
+ */
+
+const AI_PROVIDERS = ['openai', 'anthropic', 'ollama'];
+
+/**
+ * Value checks shared by several settings
+ */
+const isUrl = value => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+const isPositiveNumber = value => Number(value) > 0;
+const isNonNegativeInteger = value => Number.isInteger(Number(value)) && Number(value) >= 0;
+const isNotionId = value => /^[0-9a-f]{32}$/i.test(value.replace(/-/g, ''));
+
+/**
+ * Declared settings
+ * `requiredFor` lists the services that need the setting, unless one of
+ * the `replacedBy` settings is given instead; `aliases` are names people
+ * commonly use by mistake.
+ */
+export const SETTINGS = [
+  {
+    name: 'CANVAS_API_URL',
+    description: 'Canvas API base URL, e.g. https://school.instructure.com/api/v1',
+    requiredFor: ['canvas'],
+    replacedBy: ['CANVAS_PROFILES'],
+    aliases: ['CANVAS_BASE_URL', 'CANVAS_URL', 'CANVAS_API_BASE_URL'],
+    validate: isUrl,
+    hint: 'must be an http(s) URL'
+  },
+  {
+    name: 'CANVAS_API_TOKEN',
+    description: 'Canvas personal access token, or set CANVAS_CLIENT_ID and CANVAS_CLIENT_SECRET and run login',
+    requiredFor: ['canvas'],
+    replacedBy: ['CANVAS_PROFILES', 'CANVAS_CLIENT_ID'],
+    aliases: ['CANVAS_TOKEN', 'CANVAS_ACCESS_TOKEN']
+  },
+  { name: 'CANVAS_CLIENT_ID', description: 'Canvas developer key ID for OAuth login' },
+  { name: 'CANVAS_CLIENT_SECRET', description: 'Canvas developer key secret for OAuth login' },
+  { name: 'CANVAS_CREDENTIALS_FILE', description: 'Local file for Canvas OAuth tokens' },
+  {
+    name: 'CANVAS_OAUTH_PORT',
+    description: 'Local port for the OAuth callback',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0 && Number(value) < 65536,
+    hint: 'must be a port number'
+  },
+  { name: 'CANVAS_PROFILES', description: 'Named Canvas profiles, each with CANVAS_<NAME>_* settings' },
+  { name: 'CANVAS_COURSES', description: 'Only sync these courses' },
+  { name: 'CANVAS_EXCLUDE_COURSES', description: 'Never sync these courses' },
+  { name: 'CANVAS_MAX_RETRIES', description: 'Canvas retry attempts', validate: isNonNegativeInteger, hint: 'must be a whole number' },
+  { name: 'CANVAS_CONCURRENCY', description: 'Courses fetched from Canvas at the same time', validate: value => Number.isInteger(Number(value)) && Number(value) > 0, hint: 'must be a positive whole number' },
+  { name: 'CANVAS_SOURCES', description: 'Canvas item sources to sync', parse: parseItemSources },
+  {
+    name: 'NOTION_API_KEY',
+    description: 'Notion integration secret',
+    requiredFor: ['notion', 'notion-api'],
+    aliases: ['NOTION_TOKEN', 'NOTION_SECRET']
+  },
+  {
+    name: 'NOTION_DATABASE_ID',
+    description: 'Notion database for weekly reviews (and tasks and updates, unless their own IDs are set)',
+    requiredFor: ['notion'],
+    aliases: ['NOTION_DB_ID'],
+    validate: isNotionId,
+    hint: 'must be a 32-character Notion ID'
+  },
+  {
+    name: 'NOTION_TASK_DATABASE_ID',
+    description: 'Separate Notion database for tasks',
+    aliases: ['NOTION_TASKS_DATABASE_ID'],
+    validate: isNotionId,
+    hint: 'must be a 32-character Notion ID'
+  },
+  {
+    name: 'NOTION_UPDATE_DATABASE_ID',
+    description: 'Separate Notion database for daily updates',
+    aliases: ['NOTION_UPDATES_DATABASE_ID'],
+    validate: isNotionId,
+    hint: 'must be a 32-character Notion ID'
+  },
+  {
+    name: 'NOTION_COURSE_DATABASE_ID',
+    description: 'Notion database for course grades and projections',
+    aliases: ['NOTION_COURSES_DATABASE_ID'],
+    validate: isNotionId,
+    hint: 'must be a 32-character Notion ID'
+  },
+  {
+    name: 'NOTION_PARENT_PAGE_ID',
+    description: 'Notion page that init creates databases in',
+    validate: isNotionId,
+    hint: 'must be a 32-character Notion ID'
+  },
+  { name: 'NOTION_PROPERTY_NAMES', description: 'Notion property name overrides', parse: loadPropertyNames },
+  {
+    name: 'AI_PROVIDER',
+    description: `AI backend (${AI_PROVIDERS.join(', ')})`,
+    validate: value => AI_PROVIDERS.includes(value.toLowerCase()),
+    hint: `must be one of ${AI_PROVIDERS.join(', ')}`
+  },
+  { name: 'OPENAI_API_KEY', description: 'OpenAI API key', requiredFor: ['ai:openai'] },
+  { name: 'OPENAI_MODEL', description: 'OpenAI model' },
+  { name: 'ANTHROPIC_API_KEY', description: 'Anthropic API key', requiredFor: ['ai:anthropic'], aliases: ['CLAUDE_API_KEY'] },
+  { name: 'ANTHROPIC_MODEL', description: 'Anthropic model' },
+  { name: 'OLLAMA_BASE_URL', description: 'Ollama server URL', validate: isUrl, hint: 'must be an http(s) URL' },
+  { name: 'OLLAMA_MODEL', description: 'Ollama model' },
+  { name: 'AI_TIMEOUT_MS', description: 'AI request timeout', validate: isPositiveNumber, hint: 'must be a positive number' },
+  { name: 'AI_MAX_RETRIES', description: 'AI retry attempts', validate: isNonNegativeInteger, hint: 'must be a whole number' },
+  { name: 'FIELD_OWNERSHIP', description: 'Per-field ownership overrides', parse: getFieldOwners },
+  { name: 'STUDY_HOURS', description: 'Available study hours', parse: parseAvailability },
+  { name: 'STUDY_SESSION_HOURS', description: 'Longest study session', validate: isPositiveNumber, hint: 'must be a positive number' },
+  { name: 'URGENCY_URGENT_DAYS', description: 'Days until due for Urgent', validate: isPositiveNumber, hint: 'must be a positive number' },
+  { name: 'URGENCY_THIS_WEEK_DAYS', description: 'Days until due for This Week', validate: isPositiveNumber, hint: 'must be a positive number' },
+  { name: 'URGENCY_LABELS', description: 'Urgency label overrides' },
+  { name: 'COURSE_WEIGHTS', description: 'Per-course urgency weights' },
+  { name: 'URGENCY_HIGH_IMPACT_PERCENT', description: 'Share of the final grade above which tasks become urgent sooner', validate: isPositiveNumber, hint: 'must be a positive number' },
+  { name: 'URGENCY_LOW_IMPACT_PERCENT', description: 'Share of the final grade below which tasks become urgent later', validate: value => Number(value) >= 0, hint: 'must be a number' },
+  {
+    name: 'TIMEZONE',
+    description: 'IANA timezone for day boundaries',
+    aliases: ['TZ_NAME'],
+    parse: value => new Intl.DateTimeFormat('en-US', { timeZone: value })
+  },
+  { name: 'WEEKLY_CAPACITY_HOURS', description: 'Study hours per week before a week counts as overloaded', validate: isPositiveNumber, hint: 'must be a positive number' },
+  { name: 'SYNC_STATE_FILE', description: 'Local sync state file' },
+  { name: 'REMOVED_TASK_POLICY', description: `What sync does with tasks removed from Canvas (${REMOVAL_POLICIES.join(', ')})` },
+  { name: 'REMOVED_TASK_GRACE_HOURS', description: 'How long a task must be missing from Canvas before it counts as removed' },
+  {
+    name: 'REMOVED_TASK_DATABASE_ID',
+    description: 'Notion database removed tasks are moved to',
+    validate: isNotionId,
+    hint: 'must be a 32-character Notion ID'
+  },
+  { name: 'TWO_WAY_SYNC', description: 'Push Done and Notion-only tasks back to the Canvas planner', validate: value => ['true', 'false'].includes(value.toLowerCase()), hint: 'must be true or false' },
+  { name: 'SYNC_LOG_FILE', description: 'Local log of changes sync made on each side' },
+  { name: 'ICS_FILE', description: 'iCalendar file export-ics writes' },
+  {
+    name: 'ICS_PORT',
+    description: 'Port the calendar feed is served on',
+    validate: value => Number.isInteger(Number(value)) && Number(value) > 0 && Number(value) < 65536,
+    hint: 'must be a port number'
+  },
+  { name: 'ICS_HOST', description: 'Address the calendar feed listens on' },
+  { name: 'ICS_FEED_TOKEN', description: 'Token the calendar feed URL must include' },
+  { name: 'NOTION_MIN_INTERVAL_MS', description: 'Minimum gap between Notion writes', validate: isNonNegativeInteger, hint: 'must be a whole number' }
+];
+
+/**
+ * Raised when configuration is invalid
+ */
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate the environment
+ * @param {Object} env - Environment variables
+ * @param {Object} options
+ * @param {string[]} options.services - Services the command needs ('canvas', 'notion', 'notion-api', 'ai')
+ * @param {string} options.provider - AI provider override (e.g. from --provider)
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+export function validateConfig(env = process.env, options = {}) {
+  const { services = ['canvas', 'notion', 'ai'] } = options;
+  const provider = (options.provider || env.AI_PROVIDER || 'openai').toLowerCase();
+  const needed = new Set(services);
+  if (needed.has('ai')) needed.add(`ai:${provider}`);
+
+  const errors = [];
+  const warnings = [];
+
+  if (options.provider && !AI_PROVIDERS.includes(provider)) {
+    errors.push(`Unknown AI provider "${options.provider}" (expected ${AI_PROVIDERS.join(', ')})`);
+  }
+
+  for (const setting of SETTINGS) {
+    const value = env[setting.name];
+    const misnamed = (setting.aliases || []).filter(alias => env[alias] !== undefined);
+
+    if (value === undefined || value === '') {
+      const required = (setting.requiredFor || []).some(service => needed.has(service)) &&
+        !(setting.replacedBy || []).some(name => env[name]);
+
+      if (misnamed.length > 0) {
+        const message = `${misnamed.join(', ')} is set, but the expected name is ${setting.name} (${setting.description})`;
+        (required ? errors : warnings).push(message);
+      } else if (required) {
+        errors.push(`${setting.name} is missing (${setting.description})`);
+      }
+      continue;
+    }
+
+    if (misnamed.length > 0) {
+      warnings.push(`${misnamed.join(', ')} is ignored; ${setting.name} is used instead`);
+    }
+
+    if (setting.validate && !setting.validate(value)) {
+      errors.push(`${setting.name} ${setting.hint}: ${value}`);
+    }
+
+    if (setting.parse) {
+      try {
+        setting.parse(value);
+      } catch (error) {
+        errors.push(`${setting.name}: ${error.message}`);
+      }
+    }
+  }
+
+  // Settings of named Canvas profiles and OAuth clients
+  if (needed.has('canvas')) {
+    errors.push(...validateCanvasProfiles(env));
+  }
+
+  // Settings read together by the urgency engine
+  try {
+    loadUrgencyConfig(env);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  // Settings read together when handling tasks removed from Canvas
+  try {
+    loadRemovalConfig(env);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate the environment, throwing a ConfigError if anything is wrong
+ * and printing warnings for suspicious settings
+ */
+export function assertValidConfig(env = process.env, options = {}) {
+  const { errors, warnings } = validateConfig(env, options);
+
+  warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+}
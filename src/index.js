@@ -4,51 +4,137 @@ dotenv.config({ override: true });
 import runWeeklyReview from './jobs/weekly-review.js';
 import runDailyUpdate from './jobs/daily-update.js';
 import runTaskSync from './jobs/task-sync.js';
+import runDoctor from './jobs/doctor.js';
+import runInit from './jobs/init.js';
+import runMigrate from './jobs/migrate.js';
+import runLogin from './jobs/login.js';
+import runExportIcs from './jobs/export-ics.js';
+import runServe from './jobs/serve.js';
+import { assertValidConfig, ConfigError } from './config.js';
+import { printSyncPlan } from './sync/plan-report.js';
+import { parseCli, formatHelp, configureOutput, CliUsageError, EXIT_CODES } from './cli.js';
 
 /**
- * Main entry point for testing
+ * Services a command needs configured
+ */
+function requiredServices(command, options) {
+  switch (command) {
+    case 'init':
+      // Databases don't exist yet, so only the API key is needed
+      return ['notion-api'];
+    case 'migrate':
+      return ['notion'];
+    case 'export-ics':
+    case 'serve':
+      // Tasks are read from Notion, not Canvas
+      return ['notion'];
+    case 'login':
+      // Checks its own OAuth settings
+      return [];
+    default:
+      return options.dryRun ? ['canvas', 'notion'] : ['canvas', 'notion', 'ai'];
+  }
+}
+
+/**
+ * Main entry point
  */
 async function main() {
-  const args = process.argv.slice(2);
-  const command = args[0];
+  let command;
+  let options;
+
+  try {
+    ({ command, options } = parseCli(process.argv.slice(2)));
+  } catch (error) {
+    if (!(error instanceof CliUsageError)) throw error;
+    console.error(`Error: ${error.message}\n`);
+    console.error(formatHelp(error.command));
+    return EXIT_CODES.USAGE;
+  }
+
+  if (command === 'help' || options.help) {
+    console.log(formatHelp(command === 'help' ? options.topic : command));
+    return process.argv.length > 2 ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  const writeResult = configureOutput(options);
 
   console.log('🎓 Canvas AI Planner\n');
 
   try {
+    // Doctor reports configuration problems itself
+    if (command !== 'doctor') {
+      assertValidConfig(process.env, { services: requiredServices(command, options), provider: options.provider });
+    }
+
+    let result;
+
     switch (command) {
       case 'weekly':
-        await runWeeklyReview();
+        result = await runWeeklyReview(options);
         break;
-      
+
       case 'daily':
-        await runDailyUpdate();
+        result = await runDailyUpdate(options);
         break;
-      
+
       case 'sync':
-        await runTaskSync();
+        result = await runTaskSync(options);
+        if (options.dryRun && !options.json) {
+          printSyncPlan(result, writeResult);
+        }
         break;
-      
+
+      case 'init':
+        result = await runInit(options);
+        break;
+
+      case 'migrate':
+        result = await runMigrate(options);
+        break;
+
+      case 'login':
+        result = await runLogin(options);
+        break;
+
+      case 'export-ics':
+        result = await runExportIcs(options);
+        break;
+
+      case 'serve':
+        result = await runServe(options);
+        break;
+
+      case 'doctor':
+        result = await runDoctor(options);
+        if (!result.ok) {
+          if (options.json) writeResult(JSON.stringify(result, null, 2));
+          return EXIT_CODES.FAILURE;
+        }
+        break;
+
       case 'test':
         console.log('Running test mode - all jobs...\n');
-        await runWeeklyReview();
+        result = {};
+        result.weekly = await runWeeklyReview(options);
         console.log('\n---\n');
-        await runDailyUpdate();
+        result.daily = await runDailyUpdate(options);
         console.log('\n---\n');
-        await runTaskSync();
-        break;
-      
-      default:
-        console.log('Usage:');
-        console.log('  node src/index.js weekly  - Run weekly review');
-        console.log('  node src/index.js daily   - Run daily update');
-        console.log('  node src/index.js sync    - Sync Canvas tasks to Notion');
-        console.log('  node src/index.js test    - Run all jobs for testing');
-        process.exit(1);
+        result.sync = await runTaskSync(options);
+        break;
+    }
+
+    if (options.json) {
+      writeResult(JSON.stringify(result ?? null, null, 2));
     }
+
+    return EXIT_CODES.OK;
   } catch (error) {
     console.error('Error:', error.message);
-    process.exit(1);
+    return error instanceof ConfigError ? EXIT_CODES.CONFIG : EXIT_CODES.FAILURE;
   }
 }
 
-main();
+main().then(code => {
+  process.exitCode = code;
+});
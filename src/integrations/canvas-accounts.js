@@ -0,0 +1,120 @@
+import CanvasClient from './canvas.js';
+import { selectCanvasProfiles } from './canvas-profiles.js';
+import { compareDueDates, getCourseKey } from './canvas-items.js';
+import { summarizeCourseGrade } from '../planning/grades.js';
+
+/**
+ * Canvas clients for every selected profile, with their items merged
+ * Each item keeps its `canvas_profile` and `canvas_instance`, so sync can
+ * route it to the profile's own Notion database.
+ */
+class CanvasAccounts {
+  /**
+   * @param {string} profileNames - Comma-separated profiles to use (default: all)
+   */
+  constructor(profileNames) {
+    this.clients = selectCanvasProfiles(profileNames).map(profile => new CanvasClient(profile));
+  }
+
+  /**
+   * Get all items from every profile, sorted by due date
+   * @param {Object} filters - Optional `course`, `since` and `until` filters
+   */
+  getAllItems(filters = {}) {
+    return this.collect(client => client.getAllItems(filters));
+  }
+
+  /**
+   * Get upcoming items from every profile, sorted by due date
+   * @param {number} daysAhead - How many days to look ahead
+   * @param {Object} filters - Optional `course` filter
+   */
+  getUpcomingItems(daysAhead, filters = {}) {
+    return this.collect(client => client.getUpcomingItems(daysAhead, filters));
+  }
+
+  /**
+   * Get grades for every course of every profile, each with a `summary`
+   * of its current grade and projections (see planning/grades.js)
+   * @param {Object} filters - Optional `course` filter
+   */
+  async getCourseGrades(filters = {}) {
+    const courses = [];
+
+    for (const client of this.clients) {
+      for (const course of await client.getCourseGrades(filters)) {
+        courses.push({ ...course, summary: summarizeCourseGrade(course) });
+      }
+    }
+
+    return courses;
+  }
+
+  /**
+   * Tag items with how much of their course's final grade they're worth
+   * (`grade_impact`, in percent), where the course's grades are known
+   * @param {Object[]} items - Items from getAllItems or getUpcomingItems
+   * @param {Object[]} courses - Courses from getCourseGrades
+   */
+  applyGradeImpacts(items, courses) {
+    const impactsByCourse = new Map(courses.map(course => [course.key, course.summary.impacts]));
+
+    for (const item of items) {
+      const impact = impactsByCourse.get(getCourseKey(item.canvas_instance, item.course_id))?.get(String(item.id));
+      if (impact !== undefined) item.grade_impact = impact;
+    }
+
+    return items;
+  }
+
+  /**
+   * Describe what getAllItems fetched, so tasks from courses or sources
+   * that were left out aren't taken for removed
+   * @param {Object[]} courses - Courses from getCourseGrades, with the same filters
+   * @param {Object} filters - Optional `course` filter
+   * @returns {{courseKeys: Set<string>, personalHosts: Set<string>, sources: string[]}}
+   */
+  getFetchScope(courses, filters = {}) {
+    return {
+      courseKeys: new Set(courses.map(course => course.key)),
+      // Hosts whose items outside any course (like planner notes) were fetched
+      personalHosts: new Set(this.clients
+        .filter(client => !client.isCourseRestricted(filters))
+        .map(client => new URL(client.baseUrl).host)),
+      sources: this.clients[0]?.sources ?? []
+    };
+  }
+
+  /**
+   * Fetch from each profile in turn and merge the results
+   */
+  async collect(fetchItems) {
+    const items = [];
+
+    for (const client of this.clients) {
+      if (this.clients.length > 1) {
+        console.log(`  🏫 Canvas profile: ${client.profile.name}`);
+      }
+      items.push(...await fetchItems(client));
+    }
+
+    return items.sort(compareDueDates);
+  }
+
+  /**
+   * Get the client of the profile an item came from
+   */
+  getClient(item) {
+    return this.clients.find(client => client.profile.name === item.canvas_profile);
+  }
+
+  /**
+   * Get the Notion task database an item's profile writes to
+   * (undefined means the default task database)
+   */
+  getNotionDatabaseId(item) {
+    return this.getClient(item)?.profile.notionDatabaseId;
+  }
+}
+
+export default CanvasAccounts;
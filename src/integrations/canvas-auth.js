@@ -0,0 +1,222 @@
+import http from 'http';
+import axios from 'axios';
+import { randomBytes } from 'crypto';
+import CanvasCredentialStore from './canvas-credentials.js';
+import { DEFAULT_PROFILE } from './canvas-profiles.js';
+
+// Local port for the OAuth callback (CANVAS_OAUTH_PORT)
+const DEFAULT_CALLBACK_PORT = 8765;
+
+// Refresh tokens a minute early so requests don't race the expiry
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Give up waiting for the browser after this long
+const LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Canvas OAuth2 authentication for a profile
+ *
+ * Uses the authorization-code flow with a developer key (the profile's
+ * client ID and secret). `login` opens a local callback server to receive
+ * the code; afterwards tokens live in the credentials file and are
+ * refreshed when they expire or Canvas answers 401.
+ */
+class CanvasAuth {
+  /**
+   * @param {Object} profile - Canvas profile with `baseUrl`, `clientId` and `clientSecret`
+   * @param {CanvasCredentialStore} store - Where tokens are kept
+   */
+  constructor(profile, store = new CanvasCredentialStore()) {
+    this.profile = profile;
+    this.store = store;
+    this.loaded = false;
+    this.refreshing = null;
+  }
+
+  /**
+   * Canvas web origin (OAuth endpoints live outside /api/v1)
+   */
+  get origin() {
+    return new URL(this.profile.baseUrl).origin;
+  }
+
+  get credentials() {
+    return this.store.get(this.profile.name);
+  }
+
+  /**
+   * Get a valid access token, refreshing it first if it has expired
+   */
+  async getAccessToken() {
+    if (!this.loaded) {
+      await this.store.load();
+      this.loaded = true;
+    }
+
+    if (!this.credentials?.accessToken) {
+      throw new Error(`Not logged in to Canvas profile "${this.profile.name}"; run "node src/index.js login${this.profile.name === DEFAULT_PROFILE ? '' : ` --profile ${this.profile.name}`}"`);
+    }
+
+    if (this.credentials.expiresAt && Date.now() > this.credentials.expiresAt - EXPIRY_MARGIN_MS) {
+      await this.refresh();
+    }
+
+    return this.credentials.accessToken;
+  }
+
+  /**
+   * Exchange the refresh token for a new access token
+   * Concurrent callers share one refresh request.
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: this.credentials?.refreshToken
+      }).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Call the token endpoint and store the result
+   */
+  async requestToken(params) {
+    if (params.grant_type === 'refresh_token' && !params.refresh_token) {
+      throw new Error(`Canvas session for profile "${this.profile.name}" cannot be refreshed; run login again`);
+    }
+
+    try {
+      const response = await axios.post(`${this.origin}/login/oauth2/token`, new URLSearchParams({
+        client_id: this.profile.clientId,
+        client_secret: this.profile.clientSecret,
+        ...params
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      const { access_token: accessToken, refresh_token: refreshToken, expires_in: expiresIn, user } = response.data;
+
+      // Canvas only returns a refresh token with the first grant
+      await this.store.set(this.profile.name, {
+        accessToken,
+        refreshToken: refreshToken || this.credentials?.refreshToken,
+        expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+        user: user || this.credentials?.user
+      });
+
+      return this.credentials;
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      console.error(`Error requesting Canvas token for profile "${this.profile.name}":`, reason);
+      throw error.response?.data?.error === 'invalid_grant'
+        ? new Error(`Canvas login for profile "${this.profile.name}" has expired or was revoked; run login again`)
+        : error;
+    }
+  }
+
+  /**
+   * Authorize with Canvas in the browser and store the tokens
+   * @param {Object} options
+   * @param {number} options.port - Local callback port
+   * @returns {Promise<Object>} The Canvas user that logged in
+   */
+  async login({ port = Number(process.env.CANVAS_OAUTH_PORT || DEFAULT_CALLBACK_PORT) } = {}) {
+    await this.store.load();
+    this.loaded = true;
+
+    const redirectUri = `http://localhost:${port}/oauth/callback`;
+    const state = randomBytes(16).toString('hex');
+    const authorizeUrl = `${this.origin}/login/oauth2/auth?${new URLSearchParams({
+      client_id: this.profile.clientId,
+      response_type: 'code',
+      redirect_uri: redirectUri,
+      state
+    })}`;
+
+    const code = await waitForCallback(port, state, () => {
+      console.log('🔑 Open this URL in your browser to connect Canvas:\n');
+      console.log(`   ${authorizeUrl}\n`);
+      console.log(`Waiting for Canvas to redirect to ${redirectUri}...`);
+    });
+
+    const credentials = await this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri
+    });
+    return credentials.user;
+  }
+
+  /**
+   * Authenticate every request made through an axios client, refreshing
+   * and retrying once when Canvas answers 401
+   */
+  attach(client) {
+    client.interceptors.request.use(async config => {
+      config.headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+      return config;
+    });
+
+    client.interceptors.response.use(undefined, async error => {
+      const config = error.config;
+      if (error.response?.status !== 401 || !config || config.retriedAuth) {
+        throw error;
+      }
+
+      console.debug(`  [canvas] access token rejected for profile "${this.profile.name}", refreshing`);
+      await this.refresh();
+      return client.request({ ...config, retriedAuth: true });
+    });
+
+    return client;
+  }
+}
+
+/**
+ * Run a local server until Canvas redirects back with an authorization code
+ * @param {number} port - Port to listen on
+ * @param {string} state - Value Canvas must echo back
+ * @param {Function} onListening - Called once the server is ready
+ */
+function waitForCallback(port, state, onListening) {
+  return new Promise((resolve, reject) => {
+    const finish = (error, code) => {
+      clearTimeout(timer);
+      server.close();
+      error ? reject(error) : resolve(code);
+    };
+
+    const server = http.createServer((request, response) => {
+      const url = new URL(request.url, `http://localhost:${port}`);
+      if (url.pathname !== '/oauth/callback') {
+        response.writeHead(404).end();
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const code = url.searchParams.get('code');
+      const ok = !error && code && url.searchParams.get('state') === state;
+
+      response.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(ok ? 'Canvas is connected. You can close this tab.' : 'Canvas login failed. Check the terminal for details.');
+
+      if (error) {
+        finish(new Error(`Canvas denied access: ${url.searchParams.get('error_description') || error}`));
+      } else if (!ok) {
+        finish(new Error('Canvas callback was missing the code or had the wrong state'));
+      } else {
+        finish(null, code);
+      }
+    });
+
+    const timer = setTimeout(() => finish(new Error('Timed out waiting for the Canvas login')), LOGIN_TIMEOUT_MS);
+
+    server.on('error', error => finish(error));
+    server.listen(port, 'localhost', onListening);
+  });
+}
+
+export default CanvasAuth;
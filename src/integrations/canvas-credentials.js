@@ -0,0 +1,49 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+
+/**
+ * Local Canvas credentials store
+ *
+ * Holds the OAuth tokens from `login`, keyed by Canvas profile name.
+ * Stored as JSON at CANVAS_CREDENTIALS_FILE (default .canvas-credentials.json),
+ * readable only by the current user.
+ */
+class CanvasCredentialStore {
+  constructor(path = process.env.CANVAS_CREDENTIALS_FILE || '.canvas-credentials.json') {
+    this.path = path;
+    this.profiles = {};
+  }
+
+  /**
+   * Load credentials from disk (a missing file means nobody has logged in)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf8'));
+      this.profiles = data.profiles || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read Canvas credentials from ${this.path}:`, error.message);
+      }
+      this.profiles = {};
+    }
+    return this;
+  }
+
+  get(profileName) {
+    return this.profiles[profileName];
+  }
+
+  /**
+   * Store credentials for a profile and write them to disk
+   */
+  async set(profileName, credentials) {
+    this.profiles[profileName] = { ...credentials, updatedAt: new Date().toISOString() };
+
+    // Write to a temp file first so a crash can't leave half a file behind
+    const tempPath = `${this.path}.tmp`;
+    await writeFile(tempPath, JSON.stringify({ version: 1, profiles: this.profiles }, null, 2), { mode: 0o600 });
+    await rename(tempPath, this.path);
+  }
+}
+
+export default CanvasCredentialStore;
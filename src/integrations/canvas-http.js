@@ -0,0 +1,173 @@
+/**
+ * Rate limiting and retries for Canvas requests
+ *
+ * Canvas gives each token a request-cost bucket and reports what is left
+ * in `X-Rate-Limit-Remaining`. When the bucket runs dry it answers 403
+ * "Rate Limit Exceeded". The limiter slows requests down as the bucket
+ * drains, and retries throttled requests with backoff. Server and network
+ * errors are only retried for idempotent methods, since a POST that timed
+ * out may already have been applied:
+ *   CANVAS_MAX_RETRIES=3
+ *   CANVAS_CONCURRENCY=4   (courses fetched at the same time)
+ */
+
+// Start slowing down once the bucket drops below this
+const LOW_BUCKET = 300;
+
+// Longest pause before a request when the bucket is nearly empty
+const MAX_THROTTLE_DELAY_MS = 5000;
+
+// Methods that are safe to repeat after a server or network error
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Check whether a failed response is Canvas throttling the token
+ */
+function isThrottled(response) {
+  if (response?.status !== 403) return false;
+
+  const remaining = Number(response.headers?.['x-rate-limit-remaining']);
+  const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+  return /rate limit exceeded/i.test(body) || (!Number.isNaN(remaining) && remaining <= 0);
+}
+
+/**
+ * Check whether a request failed at the network level in a way worth retrying
+ */
+function isNetworkError(error) {
+  return !error.response && ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+
+  return undefined;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Adaptive rate limiter for one Canvas token
+ */
+class CanvasRateLimiter {
+  constructor({ maxRetries = Number(process.env.CANVAS_MAX_RETRIES ?? 3) } = {}) {
+    this.maxRetries = maxRetries;
+    this.remaining = null;
+  }
+
+  /**
+   * Pause before a request, longer the emptier the bucket is
+   */
+  getThrottleDelay() {
+    if (this.remaining === null || this.remaining >= LOW_BUCKET) return 0;
+    const used = (LOW_BUCKET - Math.max(this.remaining, 0)) / LOW_BUCKET;
+    return Math.round(used * used * MAX_THROTTLE_DELAY_MS);
+  }
+
+  /**
+   * Backoff delay for a retry, honoring Retry-After when Canvas sent one
+   */
+  getRetryDelay(attempt, response) {
+    const retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+    if (retryAfter !== undefined) {
+      return Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+    }
+
+    const exponential = BASE_RETRY_DELAY_MS * 2 ** attempt;
+    const jitter = Math.random() * BASE_RETRY_DELAY_MS;
+    return Math.min(exponential + jitter, MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Remember the bucket level Canvas reported
+   */
+  record(response) {
+    const remaining = Number(response?.headers?.['x-rate-limit-remaining']);
+    if (!Number.isNaN(remaining)) {
+      this.remaining = remaining;
+    }
+  }
+
+  /**
+   * Throttle and retry every request made through an axios client
+   */
+  attach(client) {
+    client.interceptors.request.use(async config => {
+      const delay = this.getThrottleDelay();
+      if (delay > 0) {
+        console.debug(`  [canvas] rate limit bucket at ${Math.round(this.remaining)}, waiting ${delay}ms`);
+        await sleep(delay);
+      }
+      return config;
+    });
+
+    client.interceptors.response.use(
+      response => {
+        this.record(response);
+        return response;
+      },
+      async error => {
+        const { config, response } = error;
+        this.record(response);
+
+        const throttled = isThrottled(response);
+        // Throttled requests were rejected before Canvas did anything, so even a POST can be repeated
+        const idempotent = IDEMPOTENT_METHODS.includes((config?.method || 'get').toLowerCase());
+        const retryable = throttled || (idempotent && (response?.status >= 500 || isNetworkError(error)));
+        const attempt = config?.rateLimitAttempt ?? 0;
+
+        if (!config || !retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, response);
+        console.warn(`  ⏳ Canvas ${throttled ? 'rate limit exceeded' : `request failed (${response?.status ?? error.code})`}, retrying in ${Math.round(delay / 1000)}s...`);
+        await sleep(delay);
+
+        return client.request({ ...config, rateLimitAttempt: attempt + 1 });
+      }
+    );
+
+    return client;
+  }
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once,
+ * keeping results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    // Stop handing out work once anything has failed
+    while (next < items.length && !failed) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export default CanvasRateLimiter;
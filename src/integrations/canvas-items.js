@@ -0,0 +1,311 @@
+import { extractLinks } from './html-blocks.js';
+
+/**
+ * Normalize Canvas planner items, calendar events and to-do items into
+ * the same shape as assignments, so sync, reviews and updates can treat
+ * them alike. Every item carries a `kind` (see KIND_LABELS).
+ *
+ * Assignments keep their numeric Canvas ID. Other items get an ID
+ * prefixed with their kind (e.g. "event-42"), derived from their Canvas
+ * URL. Tasks are identified by their Canvas instance, course and item ID
+ * (see getCanvasId), stored in the task's Canvas ID property, so items
+ * from different Canvas instances never collide. Tasks written before
+ * that property existed are matched by their Canvas URL (see getTaskKey).
+ *
+ * Sources can be limited with CANVAS_SOURCES, e.g.
+ *   CANVAS_SOURCES=assignments,calendar
+ */
+
+export const ITEM_SOURCES = ['assignments', 'planner', 'calendar', 'todo'];
+
+// Notion labels for each kind of item
+export const KIND_LABELS = {
+  assignment: 'Assignment',
+  quiz: 'Quiz',
+  discussion: 'Discussion',
+  event: 'Event',
+  note: 'Note',
+  page: 'Page'
+};
+
+// Kinds that have a Canvas submission
+export const SUBMITTABLE_KINDS = ['assignment', 'quiz', 'discussion'];
+
+// Planner item types, mapped to kinds (peer review requests are left out)
+const PLANNABLE_KINDS = {
+  assignment: 'assignment',
+  quiz: 'quiz',
+  discussion_topic: 'discussion',
+  wiki_page: 'page',
+  planner_note: 'note',
+  calendar_event: 'event'
+};
+
+// Patterns for recovering an item ID from its Canvas URL, most specific first
+const URL_KEYS = [
+  [/[?&]event_id=(\d+)/, id => `event-${id}`],
+  [/planner_notes\/(\d+)/, id => `note-${id}`],
+  [/quizzes\/(\d+)/, id => `quiz-${id}`],
+  [/discussion_topics\/(\d+)/, id => `discussion-${id}`],
+  [/pages\/([^/?#]+)/, slug => `page-${slug}`],
+  [/assignments\/(\d+)/, id => id]
+];
+
+/**
+ * Load the enabled item sources from CANVAS_SOURCES (default: all)
+ */
+export function parseItemSources(value = process.env.CANVAS_SOURCES) {
+  if (!value) return [...ITEM_SOURCES];
+
+  const sources = value.split(',').map(source => source.trim().toLowerCase()).filter(Boolean);
+  for (const source of sources) {
+    if (!ITEM_SOURCES.includes(source)) {
+      throw new Error(`Unknown Canvas source: ${source} (expected ${ITEM_SOURCES.join(', ')})`);
+    }
+  }
+  return sources;
+}
+
+/**
+ * Get the item ID a Canvas URL points to, or null if it isn't recognized
+ */
+export function getItemKey(url) {
+  if (!url) return null;
+
+  for (const [pattern, toKey] of URL_KEYS) {
+    const match = url.match(pattern);
+    if (match) return toKey(match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Get the stable identity of a Canvas item, e.g. "canvas.uw.edu/course_42/1234"
+ * (items outside a course, like planner notes, use "user" for the course)
+ * @param {string} host - Canvas instance host
+ * @param {number|string} courseId - Course the item belongs to
+ * @param {string} itemId - Item ID (see getItemKey)
+ */
+export function getCanvasId(host, courseId, itemId) {
+  return `${host}/${courseId ? `course_${courseId}` : 'user'}/${itemId}`;
+}
+
+/**
+ * Get the stable identity of a Canvas course, e.g. "canvas.uw.edu/course_42"
+ */
+export function getCourseKey(host, courseId) {
+  return `${host}/course_${courseId}`;
+}
+
+/**
+ * Get a key for a Canvas URL that is unique across Canvas instances
+ * (the URL's host plus its item ID), or null if it isn't recognized
+ * Used to match tasks that have no Canvas ID yet, so it must cope with
+ * whatever was typed into a task's Canvas URL.
+ */
+export function getTaskKey(url) {
+  const key = getItemKey(url);
+  if (!key) return null;
+
+  try {
+    return `${new URL(url).host}/${key}`;
+  } catch {
+    // Relative or malformed URL
+    return null;
+  }
+}
+
+/**
+ * Get the origin of a Canvas URL, or undefined if it is relative or malformed
+ */
+export function getUrlOrigin(url) {
+  if (!url) return undefined;
+  try {
+    return new URL(url).origin;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Sort by due date, with undated items last
+ */
+export function compareDueDates(a, b) {
+  if (!a.due_at || !b.due_at) return (a.due_at ? 0 : 1) - (b.due_at ? 0 : 1);
+  return new Date(a.due_at) - new Date(b.due_at);
+}
+
+/**
+ * List the files and external tools an item links to, from its
+ * attachments, its external tool and the links in its description
+ * @returns {Array<{type: 'file'|'tool', name: string, url: string}>}
+ */
+export function getItemAttachments(item) {
+  const origin = getUrlOrigin(item.html_url);
+  const attachments = [];
+  const add = (type, name, url) => {
+    if (url && !attachments.some(attachment => attachment.url === url)) {
+      attachments.push({ type, name: name || url, url });
+    }
+  };
+
+  for (const file of item.attachments || []) {
+    add('file', file.display_name || file.filename, file.url);
+  }
+  if (item.external_tool_tag_attributes?.url) {
+    add('tool', 'External tool', item.external_tool_tag_attributes.url);
+  }
+
+  for (const link of extractLinks(item.description, origin)) {
+    if (/\/files\/\d+/.test(link.href) || /\binstructure_file_link\b/.test(link.attributes.class || '')) {
+      add('file', link.text || link.attributes.title, link.href);
+    } else if (/\/external_tools\//.test(link.href)) {
+      add('tool', link.text || 'External tool', link.href);
+    }
+  }
+
+  return attachments;
+}
+
+/**
+ * Make a relative Canvas URL absolute (null if it can't be parsed)
+ */
+function absoluteUrl(url, origin) {
+  if (!url) return null;
+  try {
+    return new URL(url, origin).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out the kind of an assignment (quizzes and graded discussions are assignments too)
+ */
+export function assignmentKind(assignment) {
+  const types = assignment.submission_types || [];
+  if (types.includes('online_quiz')) return 'quiz';
+  if (types.includes('discussion_topic')) return 'discussion';
+  return 'assignment';
+}
+
+/**
+ * Get the key of a planner item or override, e.g. "assignment:42"
+ */
+export function getPlannableKey(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * Tag an assignment with its kind and the planner item it appears as
+ */
+export function normalizeAssignment(assignment) {
+  const kind = assignmentKind(assignment);
+  const [plannableType, plannableId] =
+    kind === 'quiz' && assignment.quiz_id ? ['quiz', assignment.quiz_id] :
+    kind === 'discussion' && assignment.discussion_topic?.id ? ['discussion_topic', assignment.discussion_topic.id] :
+    ['assignment', assignment.id];
+
+  return { ...assignment, kind, plannable_type: plannableType, plannable_id: plannableId };
+}
+
+/**
+ * Normalize a planner item (GET /planner/items)
+ * Returns null for items that come from the assignments endpoint instead.
+ * @param {Object} item - Planner item
+ * @param {string} origin - Canvas origin, for relative URLs
+ */
+export function normalizePlannerItem(item, origin) {
+  const kind = PLANNABLE_KINDS[item.plannable_type];
+  const plannable = item.plannable || {};
+
+  // Graded quizzes and discussions are already listed as assignments
+  if (!kind || kind === 'assignment' || plannable.assignment_id) return null;
+
+  const htmlUrl = kind === 'note'
+    ? absoluteUrl(`/api/v1/planner_notes/${item.plannable_id}`, origin)
+    : absoluteUrl(item.html_url, origin);
+  const submissions = item.submissions || {};
+  const dueAt = plannable.due_at ?? plannable.todo_date ?? plannable.start_at ?? item.plannable_date ?? null;
+
+  return {
+    id: getItemKey(htmlUrl) || `${kind}-${item.plannable_id}`,
+    kind,
+    name: plannable.title || plannable.name || KIND_LABELS[kind],
+    due_at: dueAt,
+    html_url: htmlUrl,
+    description: plannable.details || plannable.message || plannable.description || '',
+    points_possible: plannable.points_possible ?? null,
+    submission_types: kind === 'quiz' ? ['online_quiz'] : kind === 'discussion' ? ['discussion_topic'] : [],
+    submission: SUBMITTABLE_KINDS.includes(kind) ? {
+      workflow_state: submissions.graded ? 'graded' : submissions.submitted ? 'submitted' : 'unsubmitted',
+      submitted_at: submissions.submitted || submissions.graded ? item.plannable_date : null,
+      excused: submissions.excused,
+      late: submissions.late,
+      missing: submissions.missing,
+      score: null
+    } : undefined,
+    completed: Boolean(item.planner_override?.marked_complete) ||
+      (kind === 'event' && Boolean(dueAt) && new Date(plannable.end_at || dueAt) < new Date()),
+    updated_at: plannable.updated_at,
+    course_id: item.course_id,
+    plannable_type: item.plannable_type,
+    plannable_id: item.plannable_id
+  };
+}
+
+/**
+ * Normalize a calendar event (GET /calendar_events)
+ */
+export function normalizeCalendarEvent(event) {
+  const courseId = event.context_code?.match(/^course_(\d+)$/)?.[1];
+
+  return {
+    id: getItemKey(event.html_url) || `event-${event.id}`,
+    kind: 'event',
+    name: event.title,
+    due_at: event.start_at ?? null,
+    html_url: event.html_url,
+    description: event.description || '',
+    points_possible: null,
+    submission_types: [],
+    // An event is done once it has ended
+    completed: Boolean(event.start_at) && new Date(event.end_at || event.start_at) < new Date(),
+    updated_at: event.updated_at,
+    course_id: courseId && Number(courseId),
+    plannable_type: 'calendar_event',
+    plannable_id: event.id
+  };
+}
+
+/**
+ * Normalize a to-do item (GET /users/self/todo)
+ * Returns null for grading to-dos, which are for teachers.
+ */
+export function normalizeTodoItem(item) {
+  if (item.type !== 'submitting') return null;
+
+  if (item.assignment) {
+    return { ...normalizeAssignment(item.assignment), course_id: item.course_id };
+  }
+
+  if (item.quiz) {
+    return {
+      id: `quiz-${item.quiz.id}`,
+      kind: 'quiz',
+      name: item.quiz.title,
+      due_at: item.quiz.due_at ?? null,
+      html_url: item.quiz.html_url || item.html_url,
+      description: item.quiz.description || '',
+      points_possible: item.quiz.points_possible ?? null,
+      submission_types: ['online_quiz'],
+      updated_at: item.quiz.updated_at,
+      course_id: item.course_id,
+      plannable_type: 'quiz',
+      plannable_id: item.quiz.id
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,121 @@
+/**
+ * Canvas profiles
+ *
+ * Without CANVAS_PROFILES there is a single "default" profile read from
+ * CANVAS_API_URL and CANVAS_API_TOKEN. Students with several Canvas
+ * accounts list named profiles instead, each with its own settings:
+ *   CANVAS_PROFILES=uw,seattleu
+ *   CANVAS_UW_API_URL=https://canvas.uw.edu/api/v1
+ *   CANVAS_UW_API_TOKEN=...
+ *   CANVAS_UW_COURSES="CSE 142,MATH 126"      (only these courses)
+ *   CANVAS_UW_EXCLUDE_COURSES="Orientation"   (never these courses)
+ *   CANVAS_UW_NOTION_DATABASE_ID=...          (task database for this profile)
+ * Courses are matched by ID, name or code, like --course. The default
+ * profile reads CANVAS_COURSES and CANVAS_EXCLUDE_COURSES the same way.
+ *
+ * Instead of an API token, a profile can use OAuth with a Canvas developer
+ * key (CANVAS_CLIENT_ID and CANVAS_CLIENT_SECRET, or CANVAS_<NAME>_CLIENT_ID
+ * and CANVAS_<NAME>_CLIENT_SECRET) after running `login`.
+ */
+
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * Get the environment variable prefix for a profile
+ */
+function profilePrefix(name) {
+  return name === DEFAULT_PROFILE ? 'CANVAS_' : `CANVAS_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+}
+
+/**
+ * Split a comma-separated list setting
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Load every configured Canvas profile
+ * @returns {Array<{name, baseUrl, token, clientId, clientSecret, courses: string[], excludeCourses: string[], notionDatabaseId}>}
+ */
+export function loadCanvasProfiles(env = process.env) {
+  const names = env.CANVAS_PROFILES ? parseList(env.CANVAS_PROFILES) : [DEFAULT_PROFILE];
+
+  return names.map(name => {
+    const prefix = profilePrefix(name);
+    return {
+      name,
+      baseUrl: env[`${prefix}API_URL`],
+      token: env[`${prefix}API_TOKEN`],
+      clientId: env[`${prefix}CLIENT_ID`],
+      clientSecret: env[`${prefix}CLIENT_SECRET`],
+      courses: parseList(env[`${prefix}COURSES`]),
+      excludeCourses: parseList(env[`${prefix}EXCLUDE_COURSES`]),
+      notionDatabaseId: name === DEFAULT_PROFILE ? undefined : env[`${prefix}NOTION_DATABASE_ID`]
+    };
+  });
+}
+
+/**
+ * Pick the profiles named by --profile (comma-separated), or all of them
+ */
+export function selectCanvasProfiles(names, env = process.env) {
+  const profiles = loadCanvasProfiles(env);
+  if (!names) return profiles;
+
+  const wanted = parseList(names);
+  const unknown = wanted.filter(name => !profiles.some(profile => profile.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown Canvas profile: ${unknown.join(', ')} (configured: ${profiles.map(profile => profile.name).join(', ')})`);
+  }
+
+  return profiles.filter(profile => wanted.includes(profile.name));
+}
+
+/**
+ * Check that a profile has either an API token or a complete OAuth client
+ * @returns {string[]} Problems, empty when the profile can authenticate
+ */
+export function validateCanvasAuth(profile) {
+  const prefix = profilePrefix(profile.name);
+
+  if (profile.clientId || profile.clientSecret) {
+    return [
+      ...(profile.clientId ? [] : [`${prefix}CLIENT_ID is missing (OAuth client ID for profile "${profile.name}")`]),
+      ...(profile.clientSecret ? [] : [`${prefix}CLIENT_SECRET is missing (OAuth client secret for profile "${profile.name}")`])
+    ];
+  }
+
+  return profile.token ? [] : [`${prefix}API_TOKEN is missing (Canvas access token for profile "${profile.name}"; or set up OAuth with ${prefix}CLIENT_ID)`];
+}
+
+/**
+ * Check Canvas profiles for missing settings
+ * @returns {string[]} Problems, empty when every profile is complete
+ */
+export function validateCanvasProfiles(env = process.env) {
+  if (!env.CANVAS_PROFILES) {
+    // The default profile's URL and token are checked like any other setting
+    const [profile] = loadCanvasProfiles(env);
+    return profile.clientId || profile.clientSecret ? validateCanvasAuth(profile) : [];
+  }
+
+  const errors = [];
+  const profiles = loadCanvasProfiles(env);
+
+  if (profiles.length === 0) {
+    errors.push('CANVAS_PROFILES is set but lists no profiles');
+  }
+
+  for (const profile of profiles) {
+    const prefix = profilePrefix(profile.name);
+    if (!profile.baseUrl) {
+      errors.push(`${prefix}API_URL is missing (Canvas API base URL for profile "${profile.name}")`);
+    } else if (!/^https?:\/\//.test(profile.baseUrl)) {
+      errors.push(`${prefix}API_URL must be an http(s) URL: ${profile.baseUrl}`);
+    }
+    errors.push(...validateCanvasAuth(profile));
+  }
+
+  return errors;
+}
@@ -1,19 +1,88 @@
 import axios from 'axios';
+import { createHash } from 'crypto';
+import { paginateCanvas, collectAll } from './pagination.js';
+import UrgencyEngine from '../planning/urgency.js';
+import { estimateHeuristicHours } from '../planning/effort.js';
+import { DEFAULT_GRADING_SCHEME } from '../planning/grades.js';
+import {
+  SUBMITTABLE_KINDS,
+  parseItemSources,
+  normalizeAssignment,
+  normalizePlannerItem,
+  normalizeCalendarEvent,
+  normalizeTodoItem,
+  getItemKey,
+  getTaskKey,
+  getCanvasId,
+  getCourseKey,
+  getPlannableKey,
+  compareDueDates
+} from './canvas-items.js';
+import { loadCanvasProfiles } from './canvas-profiles.js';
+import CanvasAuth from './canvas-auth.js';
+import CanvasRateLimiter, { mapWithConcurrency } from './canvas-http.js';
+
+// Default date range for the planner and calendar, which need one
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_LOOKAHEAD_DAYS = 120;
+
+// Canvas accepts at most this many context codes per calendar request
+const MAX_CALENDAR_CONTEXTS = 10;
 
 /**
  * Canvas LMS API Client
  */
 class CanvasClient {
-  constructor() {
-    this.baseUrl = process.env.CANVAS_API_URL;
-    this.token = process.env.CANVAS_API_TOKEN;
+  /**
+   * @param {Object} profile - Canvas profile (see canvas-profiles.js); defaults to the first configured one
+   */
+  constructor(profile = loadCanvasProfiles()[0]) {
+    this.profile = profile;
+    this.baseUrl = profile.baseUrl;
+    this.token = profile.token;
     this.client = axios.create({
       baseURL: this.baseUrl,
       headers: {
-        'Authorization': `Bearer ${this.token}`,
+        ...(this.token && { 'Authorization': `Bearer ${this.token}` }),
         'Content-Type': 'application/json'
       }
     });
+
+    this.rateLimiter = new CanvasRateLimiter();
+    this.rateLimiter.attach(this.client);
+    this.concurrency = Number(process.env.CANVAS_CONCURRENCY ?? 4);
+
+    // Without a personal token, authenticate with OAuth tokens from `login`
+    if (!this.token && profile.clientId) {
+      this.auth = new CanvasAuth(profile);
+      this.auth.attach(this.client);
+    }
+    this.urgency = new UrgencyEngine();
+    this.sources = parseItemSources();
+  }
+
+  /**
+   * Get the user the API token belongs to
+   */
+  async getCurrentUser() {
+    try {
+      const response = await this.client.get('/users/self');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching current user:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream all active courses for the current user, page by page,
+   * with the user's current scores
+   */
+  iterateCourses() {
+    return paginateCanvas(this.client, '/courses', {
+      enrollment_state: 'active',
+      include: ['total_scores']
+    });
   }
 
   /**
@@ -21,13 +90,7 @@ class CanvasClient {
    */
   async getCourses() {
     try {
-      const response = await this.client.get('/courses', {
-        params: {
-          enrollment_state: 'active',
-          per_page: 100
-        }
-      });
-      return response.data;
+      return await collectAll(this.iterateCourses());
     } catch (error) {
       console.error('Error fetching courses:', error.message);
       throw error;
@@ -35,91 +98,356 @@ class CanvasClient {
   }
 
   /**
-   * Get all assignments across all courses (including past and future)
+   * Stream a course's assignment groups with their assignments and the user's submissions
+   */
+  iterateAssignmentGroups(courseId) {
+    return paginateCanvas(this.client, `/courses/${courseId}/assignment_groups`, {
+      include: ['assignments', 'submission']
+    });
+  }
+
+  /**
+   * Get a course's grading scheme, or Canvas's default one
+   * @returns {Promise<Array<{name: string, value: number}>>}
    */
-  async getAllAssignments() {
+  async getGradingScheme(course) {
+    if (!course.grading_standard_id) return DEFAULT_GRADING_SCHEME;
+
     try {
-      const courses = await this.getCourses();
-      const allAssignments = [];
+      const standards = await collectAll(paginateCanvas(this.client, `/courses/${course.id}/grading_standards`));
+      return standards.find(standard => standard.id === course.grading_standard_id)?.grading_scheme ?? DEFAULT_GRADING_SCHEME;
+    } catch (error) {
+      // Students can't read grading standards in every course
+      if ([401, 403, 404].includes(error.response?.status)) return DEFAULT_GRADING_SCHEME;
+      console.error(`Error fetching grading scheme for course ${course.id}:`, error.message);
+      throw error;
+    }
+  }
 
-      for (const course of courses) {
-        const assignments = await this.getCourseAssignments(course.id);
-        
-        // Add course name to each assignment
-        const assignmentsWithCourse = assignments.map(assignment => ({
-          ...assignment,
-          course_name: course.name,
-          course_code: course.course_code
-        }));
-        
-        allAssignments.push(...assignmentsWithCourse);
-      }
+  /**
+   * Get assignment group weights, current scores and grading schemes for each course
+   * @param {Object} filters - Optional `course` filter
+   * @returns {Promise<Array<{key, id, name, instance, profile, groups, weighted, currentScore, scheme}>>}
+   */
+  async getCourseGrades(filters = {}) {
+    try {
+      const courses = (await this.getCourses())
+        .filter(course => this.isProfileCourse(course) && this.matchesCourse(course, filters.course));
+      const { host } = new URL(this.baseUrl);
 
-      // Filter for assignments with due dates and sort by due date
-      return allAssignments
-        .filter(assignment => assignment.due_at)
-        .sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+      return await mapWithConcurrency(courses, this.concurrency, async course => {
+        const enrollment = (course.enrollments || []).find(({ type }) => ['student', 'StudentEnrollment'].includes(type));
+        return {
+          key: getCourseKey(host, course.id),
+          id: course.id,
+          name: course.name || course.course_code,
+          instance: host,
+          profile: this.profile.name,
+          groups: await collectAll(this.iterateAssignmentGroups(course.id)),
+          weighted: Boolean(course.apply_assignment_group_weights),
+          currentScore: enrollment?.computed_current_score ?? null,
+          scheme: await this.getGradingScheme(course)
+        };
+      });
     } catch (error) {
-      console.error('Error fetching all assignments:', error.message);
+      console.error('Error fetching Canvas course grades:', error.message);
       throw error;
     }
   }
 
   /**
-   * Get upcoming assignments across all courses
-   * @param {number} daysAhead - How many days to look ahead
+   * Check whether a course matches a --course filter (ID, name or code)
    */
-  async getUpcomingAssignments(daysAhead = 14) {
+  matchesCourse(course, filter) {
+    if (!filter) return true;
+    const needle = String(filter).toLowerCase();
+
+    return String(course.id) === needle ||
+      (course.name || '').toLowerCase().includes(needle) ||
+      (course.course_code || '').toLowerCase().includes(needle);
+  }
+
+  /**
+   * Check whether a course is in scope for this profile's include/exclude lists
+   */
+  isProfileCourse(course) {
+    const { courses = [], excludeCourses = [] } = this.profile;
+    return (courses.length === 0 || courses.some(filter => this.matchesCourse(course, filter))) &&
+      !excludeCourses.some(filter => this.matchesCourse(course, filter));
+  }
+
+  /**
+   * Check whether items are limited to some courses (so items outside any
+   * course, like planner notes, are left out)
+   * @param {Object} filters - Optional `course` filter
+   */
+  isCourseRestricted(filters = {}) {
+    return Boolean(filters.course) || this.profile.courses?.length > 0 || this.profile.excludeCourses?.length > 0;
+  }
+
+  /**
+   * Check whether an assignment is due within a since/until range
+   */
+  isDueWithin(assignment, { since, until } = {}) {
+    if (!since && !until) return true;
+    if (!assignment.due_at) return false;
+
+    const dueDate = new Date(assignment.due_at);
+    return (!since || dueDate >= since) && (!until || dueDate <= until);
+  }
+
+  /**
+   * Get the date range to fetch planner items and calendar events for
+   * @param {Object} filters - Optional `since` and `until` filters
+   */
+  getItemWindow({ since, until } = {}) {
+    const day = 24 * 60 * 60 * 1000;
+    return {
+      start: since || new Date(Date.now() - DEFAULT_LOOKBACK_DAYS * day),
+      end: until || new Date(Date.now() + DEFAULT_LOOKAHEAD_DAYS * day)
+    };
+  }
+
+  /**
+   * Stream planner items (ungraded quizzes and discussions, pages with
+   * to-do dates, planner notes and calendar events)
+   * @param {Object} window - `start` and `end` dates
+   * @param {string[]} contextCodes - Limit to these contexts (e.g. "course_42")
+   */
+  iteratePlannerItems({ start, end }, contextCodes) {
+    return paginateCanvas(this.client, '/planner/items', {
+      start_date: start.toISOString(),
+      end_date: end.toISOString(),
+      ...(contextCodes && { context_codes: contextCodes })
+    });
+  }
+
+  /**
+   * Stream course calendar events (exams, sessions and other non-assignment events)
+   * @param {Object} window - `start` and `end` dates
+   * @param {string[]} contextCodes - Contexts to include (e.g. "course_42")
+   */
+  async *iterateCalendarEvents({ start, end }, contextCodes) {
+    for (let i = 0; i < contextCodes.length; i += MAX_CALENDAR_CONTEXTS) {
+      yield* paginateCanvas(this.client, '/calendar_events', {
+        type: 'event',
+        start_date: start.toISOString(),
+        end_date: end.toISOString(),
+        context_codes: contextCodes.slice(i, i + MAX_CALENDAR_CONTEXTS)
+      });
+    }
+  }
+
+  /**
+   * Stream the current user's to-do list
+   */
+  iterateTodoItems() {
+    return paginateCanvas(this.client, '/users/self/todo');
+  }
+
+  /**
+   * Get the current user's planner overrides, keyed by plannable (see getPlannableKey)
+   */
+  async getPlannerOverrides() {
     try {
-      const courses = await this.getCourses();
-      const allAssignments = [];
+      const overrides = await collectAll(paginateCanvas(this.client, '/planner/overrides'));
+      return new Map(overrides.map(override => [getPlannableKey(override.plannable_type, override.plannable_id), override]));
+    } catch (error) {
+      console.error('Error fetching Canvas planner overrides:', error.message);
+      throw error;
+    }
+  }
 
-      for (const course of courses) {
+  /**
+   * Mark an item complete or incomplete in the Canvas planner and to-do list
+   * @param {Object} item - Item with `plannable_type` and `plannable_id`
+   * @param {boolean} markedComplete
+   * @param {Object} override - The item's existing override, if any
+   */
+  async setPlannerOverride(item, markedComplete, override) {
+    try {
+      const response = override
+        ? await this.client.put(`/planner/overrides/${override.id}`, { marked_complete: markedComplete })
+        : await this.client.post('/planner/overrides', {
+          plannable_type: item.plannable_type,
+          plannable_id: item.plannable_id,
+          marked_complete: markedComplete
+        });
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating Canvas planner override for ${item.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a planner note (a personal to-do in the Canvas planner)
+   * @param {Object} note
+   * @param {string} note.title
+   * @param {string} note.todoDate - When it shows up in the planner
+   */
+  async createPlannerNote({ title, todoDate }) {
+    try {
+      const response = await this.client.post('/planner_notes', { title, todo_date: todoDate });
+      return response.data;
+    } catch (error) {
+      console.error(`Error creating Canvas planner note ${title}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream items from every enabled source (CANVAS_SOURCES), tagged with
+   * their course and de-duplicated across sources
+   * @param {Object} filters - Optional `course`, `since` and `until` filters
+   */
+  async *iterateAllItems(filters = {}) {
+    const courses = (await this.getCourses())
+      .filter(course => this.isProfileCourse(course) && this.matchesCourse(course, filters.course));
+    const restricted = this.isCourseRestricted(filters);
+    const coursesById = new Map(courses.map(course => [String(course.id), course]));
+    const contextCodes = courses.map(course => `course_${course.id}`);
+    const window = this.getItemWindow(filters);
+    const { origin, host } = new URL(this.baseUrl);
+    const seen = new Set();
+
+    const tag = item => {
+      // With a course filter, drop items from other courses and personal items
+      if (!item || (restricted && !coursesById.has(String(item.course_id)))) return null;
+      if (seen.has(String(item.id))) return null;
+      seen.add(String(item.id));
+
+      const course = coursesById.get(String(item.course_id));
+      return {
+        ...item,
+        key: getCanvasId(host, item.course_id, getItemKey(item.html_url) || item.id),
+        legacyKey: getTaskKey(item.html_url) || `${host}/${item.id}`,
+        canvas_profile: this.profile.name,
+        canvas_instance: host,
+        course_name: item.course_name || course?.name,
+        course_code: item.course_code || course?.course_code
+      };
+    };
+
+    // Assignments first, since they carry the most detail
+    if (this.sources.includes('assignments')) {
+      const assignmentsByCourse = await mapWithConcurrency(courses, this.concurrency, async course => {
         const assignments = await this.getCourseAssignments(course.id);
-        
-        // Add course name to each assignment
-        const assignmentsWithCourse = assignments.map(assignment => ({
-          ...assignment,
-          course_name: course.name,
-          course_code: course.course_code
-        }));
-        
-        allAssignments.push(...assignmentsWithCourse);
+        console.debug(`  [canvas] ${assignments.length} assignments in ${course.name}`);
+        return assignments;
+      });
+
+      for (const [index, course] of courses.entries()) {
+        for (const assignment of assignmentsByCourse[index]) {
+          const item = tag({ ...normalizeAssignment(assignment), course_id: course.id });
+          if (item) yield item;
+        }
+      }
+    }
+
+    if (this.sources.includes('planner')) {
+      let count = 0;
+      for await (const plannerItem of this.iteratePlannerItems(window, restricted ? contextCodes : undefined)) {
+        const item = tag(normalizePlannerItem(plannerItem, origin));
+        if (item) {
+          count++;
+          yield item;
+        }
+      }
+      console.debug(`  [canvas] ${count} additional planner items`);
+    }
+
+    if (this.sources.includes('calendar') && contextCodes.length > 0) {
+      let count = 0;
+      for await (const event of this.iterateCalendarEvents(window, contextCodes)) {
+        const item = tag(normalizeCalendarEvent(event));
+        if (item) {
+          count++;
+          yield item;
+        }
       }
+      console.debug(`  [canvas] ${count} additional calendar events`);
+    }
 
-      // Filter for upcoming assignments
+    if (this.sources.includes('todo')) {
+      let count = 0;
+      for await (const todo of this.iterateTodoItems()) {
+        const item = tag(normalizeTodoItem(todo));
+        if (item) {
+          count++;
+          yield item;
+        }
+      }
+      console.debug(`  [canvas] ${count} additional to-do items`);
+    }
+  }
+
+  /**
+   * Get all items across all courses (including past and future)
+   * Undated items are kept (sorted last) unless a since/until filter is given.
+   * @param {Object} filters - Optional `course`, `since` and `until` filters
+   */
+  async getAllItems(filters = {}) {
+    try {
+      const allItems = await collectAll(this.iterateAllItems(filters));
+
+      return allItems
+        .filter(item => this.isDueWithin(item, filters))
+        .sort(compareDueDates);
+    } catch (error) {
+      console.error('Error fetching Canvas items:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get upcoming items across all courses, plus open undated items
+   * @param {number} daysAhead - How many days to look ahead
+   * @param {Object} filters - Optional `course` filter, and `overdue` to also
+   *   include past-due items that aren't done (from the last DEFAULT_LOOKBACK_DAYS)
+   */
+  async getUpcomingItems(daysAhead = 14, filters = {}) {
+    try {
       const now = new Date();
       const futureDate = new Date();
       futureDate.setDate(futureDate.getDate() + daysAhead);
+      const since = filters.overdue ? new Date(now.getTime() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) : now;
+
+      const allItems = await collectAll(this.iterateAllItems({ course: filters.course, since, until: futureDate }));
 
-      return allAssignments
-        .filter(assignment => {
-          if (!assignment.due_at) return false;
-          const dueDate = new Date(assignment.due_at);
-          return dueDate >= now && dueDate <= futureDate;
+      return allItems
+        .filter(item => {
+          if (!item.due_at) return !this.getSubmissionState(item).complete;
+          const dueDate = new Date(item.due_at);
+          if (dueDate < now) return dueDate >= since && !this.getSubmissionState(item).complete;
+          return dueDate <= futureDate;
         })
-        .sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+        .sort(compareDueDates);
     } catch (error) {
-      console.error('Error fetching assignments:', error.message);
+      console.error('Error fetching upcoming Canvas items:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Stream assignments for a specific course, page by page
+   */
+  iterateCourseAssignments(courseId) {
+    return paginateCanvas(this.client, `/courses/${courseId}/assignments`, {
+      order_by: 'due_at',
+      include: ['submission']
+    });
+  }
+
   /**
    * Get assignments for a specific course
    */
   async getCourseAssignments(courseId) {
     try {
-      const response = await this.client.get(`/courses/${courseId}/assignments`, {
-        params: {
-          per_page: 100,
-          order_by: 'due_at'
-        }
-      });
-      return response.data;
+      return await collectAll(this.iterateCourseAssignments(courseId));
     } catch (error) {
       console.error(`Error fetching assignments for course ${courseId}:`, error.message);
-      return [];
+      throw error;
     }
   }
 
@@ -143,46 +471,109 @@ class CanvasClient {
     }
   }
 
+  /**
+   * Summarize the current user's submission for an assignment
+   * (requires the assignment to be fetched with `include: ['submission']`)
+   */
+  getSubmissionState(assignment) {
+    // Events, notes and pages have nothing to submit; they're done once ended or checked off
+    if (!SUBMITTABLE_KINDS.includes(assignment.kind ?? 'assignment')) {
+      const complete = Boolean(assignment.completed);
+      return {
+        status: null,
+        submitted: false,
+        graded: false,
+        late: false,
+        missing: false,
+        excused: false,
+        complete,
+        score: null,
+        pointsPossible: null
+      };
+    }
+
+    const submission = assignment.submission || {};
+    const excused = Boolean(submission.excused);
+    const submitted = Boolean(submission.submitted_at) ||
+      ['submitted', 'pending_review'].includes(submission.workflow_state);
+    const graded = submission.workflow_state === 'graded' &&
+      (submission.score !== null && submission.score !== undefined);
+    const late = Boolean(submission.late);
+    const missing = Boolean(submission.missing);
+
+    let status = 'Not Submitted';
+    if (excused) {
+      status = 'Excused';
+    } else if (graded) {
+      status = 'Graded';
+    } else if (submitted) {
+      status = late ? 'Submitted Late' : 'Submitted';
+    } else if (missing) {
+      status = 'Missing';
+    }
+
+    return {
+      status,
+      submitted: submitted || graded,
+      graded,
+      late,
+      missing,
+      excused,
+      complete: submitted || graded || excused || Boolean(assignment.completed),
+      score: submission.score ?? null,
+      pointsPossible: assignment.points_possible ?? null
+    };
+  }
+
   /**
    * Categorize assignments by urgency
    */
   categorizeByUrgency(assignments) {
-    const now = new Date();
     const categories = {
       overdue: [],
-      urgent: [],      // Due in next 2 days
-      thisWeek: [],    // Due in next 7 days
-      upcoming: []     // Due later
+      urgent: [],      // Due within URGENCY_URGENT_DAYS
+      thisWeek: [],    // Due within URGENCY_THIS_WEEK_DAYS
+      upcoming: [],    // Due later
+      unscheduled: [], // No due date
+      submitted: []    // Already turned in
     };
 
-    assignments.forEach(assignment => {
-      const dueDate = new Date(assignment.due_at);
-      const hoursUntilDue = (dueDate - now) / (1000 * 60 * 60);
-      const daysUntilDue = hoursUntilDue / 24;
-
-      if (hoursUntilDue < 0) {
-        categories.overdue.push(assignment);
-      } else if (daysUntilDue <= 2) {
-        categories.urgent.push(assignment);
-      } else if (daysUntilDue <= 7) {
-        categories.thisWeek.push(assignment);
-      } else {
-        categories.upcoming.push(assignment);
-      }
+    const tiers = this.urgency.classifyAll(assignments.map(assignment => ({
+      dueDate: assignment.due_at,
+      course: assignment.course_name || assignment.course_code,
+      completed: this.getSubmissionState(assignment).complete,
+      hours: estimateHeuristicHours(assignment),
+      gradeImpact: assignment.grade_impact
+    })));
+
+    assignments.forEach((assignment, index) => {
+      categories[tiers[index]].push(assignment);
     });
 
     return categories;
   }
 
+  /**
+   * Get a short fingerprint of an assignment description for change detection
+   */
+  getDescriptionHash(assignment) {
+    return createHash('sha256')
+      .update(assignment.description || '')
+      .digest('hex')
+      .substring(0, 16);
+  }
+
   /**
    * Format assignments for AI processing
    */
   formatAssignmentsForAI(assignments) {
     return assignments.map(a => ({
       title: a.name,
+      kind: a.kind,
       course: a.course_name,
       due_date: a.due_at,
       points: a.points_possible,
+      ...(a.grade_impact !== undefined && { grade_impact: `${Math.round(a.grade_impact * 10) / 10}% of final grade` }),
       description: a.description?.replace(/<[^>]*>/g, '').substring(0, 200) || 'No description',
       url: a.html_url
     }));
@@ -0,0 +1,427 @@
+import { MAX_NESTING, richText, textBlock } from './notion-blocks.js';
+
+/**
+ * Convert Canvas HTML (descriptions, event details) to Notion blocks
+ *
+ * Canvas content comes from its rich content editor, so a small tolerant
+ * parser is enough: headings, paragraphs, lists, links and text styles,
+ * tables, code, quotes and images are mapped to their Notion equivalents
+ * and anything else is flattened to its text.
+ */
+
+// Elements that never have children
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Elements whose content is dropped
+const SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'template', 'noscript']);
+
+// Elements that start a new block rather than continuing a line of text
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'center', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'iframe', 'img', 'li', 'main',
+  'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul', 'video', 'audio'
+]);
+
+// Elements that close an open sibling, as in <li>one<li>two
+const IMPLIED_CLOSES = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th']
+};
+
+// Inline elements mapped to Notion annotations
+const ANNOTATION_TAGS = {
+  b: 'bold',
+  strong: 'bold',
+  i: 'italic',
+  em: 'italic',
+  u: 'underline',
+  ins: 'underline',
+  s: 'strikethrough',
+  strike: 'strikethrough',
+  del: 'strikethrough',
+  code: 'code',
+  kbd: 'code',
+  samp: 'code',
+  tt: 'code'
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', copy: '©', reg: '®', trade: '™', times: '×', deg: '°' };
+
+/**
+ * Decode HTML character references
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      if (Number.isNaN(code)) return match;
+      // Like browsers, out-of-range code points and lone surrogates become U+FFFD
+      return code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '\ufffd' : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Parse tag attributes into an object
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Parse HTML into a tree of `{tag, attributes, children}` and `{text}` nodes
+ * Unclosed elements are closed by their parent; stray closing tags are ignored.
+ */
+export function parseHtml(html = '') {
+  const root = { tag: 'root', attributes: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    const [token, closing, opening, attributeSource] = match;
+
+    if (opening) {
+      const tag = opening.toLowerCase();
+      // A block also ends an open paragraph
+      const closes = [...(IMPLIED_CLOSES[tag] || []), ...(BLOCK_TAGS.has(tag) ? ['p'] : [])];
+      while (stack.length > 1 && closes.includes(stack[stack.length - 1].tag)) {
+        stack.pop();
+      }
+
+      const node = { tag, attributes: parseAttributes(attributeSource), children: [] };
+      stack[stack.length - 1].children.push(node);
+      if (!VOID_TAGS.has(tag) && !attributeSource.trim().endsWith('/')) {
+        stack.push(node);
+      }
+    } else if (closing) {
+      const tag = closing.toLowerCase();
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    } else if (!token.startsWith('<!') || token === '<') {
+      stack[stack.length - 1].children.push({ text: decodeEntities(token) });
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Get the plain text of a node
+ */
+function textContent(node) {
+  if (node.text !== undefined) return node.text;
+  if (SKIPPED_TAGS.has(node.tag)) return '';
+  if (node.tag === 'br') return '\n';
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * Convert HTML to plain text, with line breaks between blocks
+ */
+export function htmlToText(html = '') {
+  const lines = [];
+  let line = '';
+
+  const walk = node => {
+    if (node.text !== undefined) {
+      line += node.text.replace(/\s+/g, ' ');
+      return;
+    }
+    if (SKIPPED_TAGS.has(node.tag)) return;
+    if (node.tag === 'br') {
+      lines.push(line);
+      line = '';
+      return;
+    }
+
+    const block = BLOCK_TAGS.has(node.tag) || ['tr', 'td', 'th'].includes(node.tag);
+    if (block && line.trim()) {
+      lines.push(line);
+      line = '';
+    }
+    if (node.tag === 'li') line += '- ';
+    node.children.forEach(walk);
+    if (block && line.trim()) {
+      lines.push(line);
+      line = '';
+    }
+  };
+
+  walk(parseHtml(html));
+  lines.push(line);
+
+  return lines.map(text => text.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * Resolve a link against the Canvas origin, or null if Notion can't link to it
+ */
+function resolveUrl(href, origin) {
+  if (!href) return null;
+  try {
+    const url = new URL(href, origin);
+    return ['http:', 'https:', 'mailto:'].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Convert inline nodes to Notion rich text, merging runs with the same style
+ */
+function toRichText(nodes, origin) {
+  const runs = [];
+
+  const walk = (node, style) => {
+    if (node.text !== undefined) {
+      const text = node.text.replace(/\s+/g, ' ');
+      if (text) runs.push({ text, style });
+      return;
+    }
+    if (SKIPPED_TAGS.has(node.tag)) return;
+    if (node.tag === 'br') {
+      runs.push({ text: '\n', style });
+      return;
+    }
+    if (node.tag === 'img') {
+      if (node.attributes.alt) runs.push({ text: `[${node.attributes.alt}]`, style });
+      return;
+    }
+
+    let nextStyle = style;
+    if (ANNOTATION_TAGS[node.tag]) {
+      nextStyle = { ...style, [ANNOTATION_TAGS[node.tag]]: true };
+    } else if (node.tag === 'a') {
+      const link = resolveUrl(node.attributes.href, origin);
+      if (link) nextStyle = { ...style, link };
+    }
+    node.children.forEach(child => walk(child, nextStyle));
+  };
+
+  nodes.forEach(node => walk(node, {}));
+
+  // Merge neighbours with the same style
+  const merged = [];
+  for (const run of runs) {
+    const previous = merged[merged.length - 1];
+    if (previous && JSON.stringify(previous.style) === JSON.stringify(run.style)) {
+      previous.text += run.text;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+
+  // Trim the edges, collapsing spaces around line breaks
+  merged.forEach(run => {
+    run.text = run.text.replace(/ *\n */g, '\n');
+  });
+  if (merged.length > 0) {
+    merged[0].text = merged[0].text.replace(/^\s+/, '');
+    merged[merged.length - 1].text = merged[merged.length - 1].text.replace(/\s+$/, '');
+  }
+
+  return merged.filter(run => run.text).map(run => richText(run.text, run.style));
+}
+
+/**
+ * Convert a table element to a Notion table block
+ */
+function tableBlock(table, origin) {
+  const rows = [];
+  let headerRow = false;
+
+  const collectRows = (node, inHead) => {
+    for (const child of node.children || []) {
+      if (child.tag === 'tr') {
+        const cells = child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th');
+        if (rows.length === 0) headerRow = inHead || (cells.length > 0 && cells.every(cell => cell.tag === 'th'));
+        rows.push(cells.map(cell => toRichText(cell.children, origin)));
+      } else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) {
+        collectRows(child, child.tag === 'thead');
+      }
+    }
+  };
+  collectRows(table, false);
+
+  const width = Math.max(0, ...rows.map(row => row.length));
+  if (width === 0) return null;
+
+  return {
+    object: 'block',
+    type: 'table',
+    table: {
+      table_width: width,
+      has_column_header: headerRow,
+      has_row_header: false,
+      children: rows.map(cells => ({
+        object: 'block',
+        type: 'table_row',
+        table_row: { cells: Array.from({ length: width }, (_, index) => cells[index] || []) }
+      }))
+    }
+  };
+}
+
+/**
+ * Convert a list element to list item blocks
+ */
+function listBlocks(list, origin, depth) {
+  const type = list.tag === 'ol' ? 'numbered_list_item' : 'bulleted_list_item';
+  const blocks = [];
+
+  for (const item of list.children) {
+    if (item.tag !== 'li') {
+      // Stray content between items
+      if (item.tag) blocks.push(...toBlocks([item], origin, depth));
+      continue;
+    }
+
+    const inline = item.children.filter(child => child.text !== undefined || !BLOCK_TAGS.has(child.tag));
+    const nested = toBlocks(item.children.filter(child => !inline.includes(child)), origin, depth + 1);
+    const block = textBlock(type, toRichText(inline, origin));
+
+    if (nested.length > 0 && depth + 1 < MAX_NESTING) {
+      block[type].children = nested;
+      blocks.push(block);
+    } else {
+      // Too deep to nest in one request: keep the items as siblings
+      blocks.push(block, ...nested);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert a run of nodes to Notion blocks
+ */
+function toBlocks(nodes, origin, depth = 0) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const text = toRichText(inline, origin);
+    if (text.length > 0) blocks.push(textBlock('paragraph', text));
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    if (node.text !== undefined || (!BLOCK_TAGS.has(node.tag) && !SKIPPED_TAGS.has(node.tag) && node.tag !== 'root')) {
+      inline.push(node);
+      continue;
+    }
+    flushInline();
+
+    switch (node.tag) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const level = Math.min(Number(node.tag[1]), 3);
+        const text = toRichText(node.children, origin);
+        if (text.length > 0) blocks.push(textBlock(`heading_${level}`, text));
+        break;
+      }
+      case 'ul':
+      case 'ol':
+        blocks.push(...listBlocks(node, origin, depth));
+        break;
+      case 'li':
+        blocks.push(...listBlocks({ tag: 'ul', children: [node] }, origin, depth));
+        break;
+      case 'pre': {
+        const code = textContent(node).replace(/^\n/, '').replace(/\s+$/, '');
+        if (code) blocks.push(textBlock('code', [richText(code)], { language: 'plain text' }));
+        break;
+      }
+      case 'blockquote': {
+        // Notion quotes hold text only, so nested blocks become lines
+        const lines = toBlocks(node.children, origin, depth)
+          .map(block => block[block.type].rich_text)
+          .filter(text => text?.length > 0);
+        if (lines.length > 0) {
+          blocks.push(textBlock('quote', lines.flatMap((text, index) => index === 0 ? text : [richText('\n'), ...text])));
+        }
+        break;
+      }
+      case 'hr':
+        blocks.push({ object: 'block', type: 'divider', divider: {} });
+        break;
+      case 'table': {
+        const table = tableBlock(node, origin);
+        if (table) blocks.push(table);
+        break;
+      }
+      case 'img': {
+        const src = resolveUrl(node.attributes.src, origin);
+        const alt = node.attributes.alt || node.attributes.title || 'Image';
+        if (!src) break;
+        // Images hosted on Canvas need a login, so link to them instead
+        if (origin && new URL(src).origin === new URL(origin).origin) {
+          blocks.push(textBlock('paragraph', [richText(`🖼️ ${alt}`, { link: src })]));
+        } else {
+          blocks.push({ object: 'block', type: 'image', image: { type: 'external', external: { url: src } } });
+        }
+        break;
+      }
+      case 'iframe':
+      case 'video':
+      case 'audio': {
+        const src = resolveUrl(node.attributes.src || node.children.find(child => child.tag === 'source')?.attributes.src, origin);
+        if (src) blocks.push(textBlock('paragraph', [richText(`▶️ ${node.attributes.title || 'Embedded media'}`, { link: src })]));
+        break;
+      }
+      default:
+        if (!SKIPPED_TAGS.has(node.tag)) {
+          blocks.push(...toBlocks(node.children, origin, depth));
+        }
+    }
+  }
+
+  flushInline();
+  return blocks;
+}
+
+/**
+ * Convert Canvas HTML to Notion blocks
+ * @param {string} html - Canvas HTML
+ * @param {string} origin - Canvas origin, for relative links and images
+ */
+export function htmlToBlocks(html, origin) {
+  if (!html) return [];
+  return toBlocks(parseHtml(html).children, origin);
+}
+
+/**
+ * List the links in Canvas HTML
+ * @returns {Array<{text: string, href: string, attributes: Object}>} Absolute links
+ */
+export function extractLinks(html, origin) {
+  const links = [];
+
+  const walk = node => {
+    if (node.text !== undefined) return;
+    if (node.tag === 'a') {
+      const href = resolveUrl(node.attributes.href, origin);
+      if (href) links.push({ text: textContent(node).replace(/\s+/g, ' ').trim(), href, attributes: node.attributes });
+    }
+    node.children.forEach(walk);
+  };
+
+  walk(parseHtml(html || ''));
+  return links;
+}
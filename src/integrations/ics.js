@@ -0,0 +1,152 @@
+/**
+ * iCalendar (RFC 5545) writer
+ *
+ * Builds .ics files calendar apps can import or subscribe to. Events keep
+ * the UID they are given, so importing a newer file updates events
+ * instead of adding duplicates.
+ */
+
+const PRODUCT_ID = '-//Canvas AI Planner//Tasks//EN';
+
+// Lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape text for a TEXT property value
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line, without splitting characters
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > (parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date-time in UTC, e.g. 20260105T070000Z
+ */
+export function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format an all-day date, e.g. 20260105
+ */
+export function formatDate(date) {
+  return String(date).slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Format a duration before an event, e.g. -P2D, -PT36H or -PT15M
+ */
+export function formatTrigger(hours) {
+  if (hours === 0) return 'PT0S';
+  const sign = hours < 0 ? '' : '-';
+  const value = Math.abs(hours);
+  if (Number.isInteger(value / 24)) return `${sign}P${value / 24}D`;
+  if (Number.isInteger(value)) return `${sign}PT${value}H`;
+  return `${sign}PT${Math.round(value * 60)}M`;
+}
+
+/**
+ * Make a UID from an ID that is stable across exports (e.g. a Canvas ID)
+ */
+export function getEventUid(id, suffix) {
+  const base = String(id).replace(/[^A-Za-z0-9._-]+/g, '-');
+  return `${base}${suffix ? `-${suffix}` : ''}@canvas-ai-planner`;
+}
+
+/**
+ * Build the lines of one event
+ * @param {Object} event
+ * @param {string} event.uid - Stable UID (see getEventUid)
+ * @param {string} event.summary
+ * @param {string} event.description
+ * @param {string} event.url
+ * @param {Date|string} event.start - Start time, or YYYY-MM-DD for all-day events
+ * @param {Date|string} event.end - End time (all-day events end the next day)
+ * @param {boolean} event.allDay
+ * @param {string[]} event.categories
+ * @param {boolean} event.free - Show as free time
+ * @param {Date|string} event.updatedAt - Last change, for LAST-MODIFIED
+ * @param {Array<{hours?: number, at?: Date|string, description: string}>} event.alarms - Hours before the start, or an absolute time
+ */
+function buildEvent(event, stamp) {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`];
+
+  if (event.allDay) {
+    const next = new Date(`${String(event.start).slice(0, 10)}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(next.toISOString())}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories?.length) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+  lines.push(`TRANSP:${event.free ? 'TRANSPARENT' : 'OPAQUE'}`);
+
+  for (const alarm of event.alarms || []) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      alarm.at ? `TRIGGER;VALUE=DATE-TIME:${formatDateTime(alarm.at)}` : `TRIGGER:${formatTrigger(alarm.hours)}`,
+      `DESCRIPTION:${escapeText(alarm.description)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build an iCalendar file
+ * @param {Object} calendar
+ * @param {string} calendar.name - Name calendar apps show for the feed
+ * @param {Object[]} calendar.events - Events (see buildEvent)
+ * @returns {string}
+ */
+export function buildCalendar({ name, events }, now = new Date()) {
+  const stamp = formatDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => buildEvent(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,248 @@
+/**
+ * Notion block builder
+ *
+ * Notion rejects rich text objects longer than 2000 characters, more than
+ * 100 blocks in one children list and more than 1000 blocks per request.
+ * These helpers split text into chunks, turn the markdown the AI writes
+ * into annotated rich text and real block types, and split block lists
+ * into batches that can be appended one request at a time.
+ */
+
+export const MAX_TEXT_LENGTH = 2000;
+export const MAX_CHILDREN = 100;
+const MAX_BLOCKS_PER_REQUEST = 1000;
+
+// Notion only accepts a couple of levels of nested children per request
+export const MAX_NESTING = 2;
+
+// Code block languages Notion knows by these names
+const CODE_LANGUAGES = new Set([
+  'bash', 'c', 'c#', 'c++', 'css', 'go', 'html', 'java', 'javascript', 'json', 'kotlin', 'latex', 'markdown',
+  'matlab', 'php', 'python', 'r', 'ruby', 'rust', 'scala', 'shell', 'sql', 'swift', 'typescript', 'xml', 'yaml'
+]);
+
+/**
+ * Build a Notion rich text object
+ */
+export function richText(content, { link, ...annotations } = {}) {
+  return {
+    text: { content, ...(link && { link: { url: link } }) },
+    ...(Object.keys(annotations).length > 0 && { annotations })
+  };
+}
+
+/**
+ * Split text into chunks Notion accepts, preferring line and word breaks
+ */
+export function splitText(text, limit = MAX_TEXT_LENGTH) {
+  const chunks = [];
+  let rest = text;
+
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf('\n', limit);
+    if (cut < limit / 2) cut = rest.lastIndexOf(' ', limit);
+    if (cut < limit / 2) cut = limit;
+    // Don't split a surrogate pair
+    if (/[\uD800-\uDBFF]/.test(rest[cut - 1])) cut--;
+
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+
+  chunks.push(rest);
+  return chunks;
+}
+
+/**
+ * Split rich text objects over the length limit into several with the same style
+ */
+export function chunkRichText(items) {
+  return items.flatMap(item => {
+    const content = item.text?.content ?? '';
+    if (content.length <= MAX_TEXT_LENGTH) return [item];
+    return splitText(content).map(part => ({ ...item, text: { ...item.text, content: part } }));
+  });
+}
+
+/**
+ * Build rich text for plain text of any length
+ */
+export function textToRichText(content, style) {
+  return chunkRichText([richText(content, style)]);
+}
+
+/**
+ * Build a block with rich text
+ */
+export function textBlock(type, text, extra = {}) {
+  return { object: 'block', type, [type]: { rich_text: chunkRichText(text), ...extra } };
+}
+
+/**
+ * Build a plain paragraph block
+ */
+export function paragraph(text) {
+  return textBlock('paragraph', textToRichText(text));
+}
+
+// Inline markdown: **bold**, *italic*, _italic_, `code`, ~~strikethrough~~ and [links](url)
+const INLINE_MARKDOWN = /\*\*(.+?)\*\*|__(.+?)__|\*(?!\s)(.+?)(?<!\s)\*|(?<!\w)_(?!\s)(.+?)(?<!\s)_(?!\w)|`([^`]+)`|~~(.+?)~~|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+/**
+ * Convert inline markdown to annotated rich text
+ */
+export function markdownToRichText(text, style = {}) {
+  const items = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_MARKDOWN)) {
+    const [source, bold, boldUnderscore, italic, italicUnderscore, code, strikethrough, label, link] = match;
+    if (match.index > last) items.push(richText(text.slice(last, match.index), style));
+
+    if (bold !== undefined || boldUnderscore !== undefined) {
+      items.push(...markdownToRichText(bold ?? boldUnderscore, { ...style, bold: true }));
+    } else if (italic !== undefined || italicUnderscore !== undefined) {
+      items.push(...markdownToRichText(italic ?? italicUnderscore, { ...style, italic: true }));
+    } else if (code !== undefined) {
+      items.push(richText(code, { ...style, code: true }));
+    } else if (strikethrough !== undefined) {
+      items.push(...markdownToRichText(strikethrough, { ...style, strikethrough: true }));
+    } else {
+      items.push(...markdownToRichText(label, { ...style, link }));
+    }
+
+    last = match.index + source.length;
+  }
+
+  if (last < text.length) items.push(richText(text.slice(last), style));
+  return chunkRichText(items);
+}
+
+/**
+ * Convert markdown (as written by the AI) to Notion blocks: headings,
+ * bulleted, numbered and to-do lists, quotes, code and dividers
+ */
+export function markdownToBlocks(markdown = '') {
+  const blocks = [];
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  let paragraphLines = [];
+  let lists = [];
+
+  const flushParagraph = () => {
+    if (paragraphLines.length > 0) {
+      blocks.push(textBlock('paragraph', markdownToRichText(paragraphLines.join('\n'))));
+      paragraphLines = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(/^\s*```\s*([\w#+-]*)/))) {
+      flushParagraph();
+      lists = [];
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i]);
+      const language = match[1].toLowerCase();
+      blocks.push(textBlock('code', textToRichText(code.join('\n')), {
+        language: CODE_LANGUAGES.has(language) ? language : 'plain text'
+      }));
+    } else if (!line.trim()) {
+      // Blank lines end paragraphs, but lists carry on past them
+      flushParagraph();
+    } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+      flushParagraph();
+      lists = [];
+      blocks.push(textBlock(`heading_${Math.min(match[1].length, 3)}`, markdownToRichText(match[2].replace(/\s*#+\s*$/, ''))));
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      lists = [];
+      blocks.push({ object: 'block', type: 'divider', divider: {} });
+    } else if ((match = line.match(/^>\s?(.*)$/))) {
+      flushParagraph();
+      lists = [];
+      blocks.push(textBlock('quote', markdownToRichText(match[1])));
+    } else if ((match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/))) {
+      flushParagraph();
+      const [, indent, marker, checkbox, text] = match;
+      const type = checkbox !== undefined ? 'to_do' : /\d/.test(marker) ? 'numbered_list_item' : 'bulleted_list_item';
+      const block = textBlock(type, markdownToRichText(text), type === 'to_do' ? { checked: checkbox !== ' ' } : {});
+
+      while (lists.length > 0 && lists[lists.length - 1].indent >= indent.length) lists.pop();
+      // Items nested too deeply stay at the deepest level Notion accepts
+      const parent = lists[Math.min(lists.length, MAX_NESTING - 1) - 1];
+      if (parent) {
+        (parent.block[parent.block.type].children ||= []).push(block);
+      } else {
+        blocks.push(block);
+      }
+      lists.push({ indent: indent.length, block });
+    } else {
+      lists = [];
+      paragraphLines.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Split over-long text anywhere in a list of blocks, including table cells
+ */
+export function chunkBlocks(blocks) {
+  return blocks.map(block => {
+    const content = block[block.type];
+    if (!content) return block;
+
+    const chunked = { ...content };
+    if (content.rich_text) chunked.rich_text = chunkRichText(content.rich_text);
+    if (content.cells) chunked.cells = content.cells.map(chunkRichText);
+    if (content.children) chunked.children = chunkBlocks(content.children);
+    return { ...block, [block.type]: chunked };
+  });
+}
+
+/**
+ * Count a block and everything nested in it
+ */
+function countBlocks(block) {
+  return 1 + (block[block.type]?.children || []).reduce((total, child) => total + countBlocks(child), 0);
+}
+
+/**
+ * Split blocks into batches Notion accepts in one append request
+ * A block with more children than allowed keeps the first MAX_CHILDREN;
+ * the rest are returned in `overflow`, keyed by the block's index in the
+ * batch, to be appended to it once it exists.
+ * @returns {Array<{blocks: Object[], overflow: Map<number, Object[]>}>}
+ */
+export function batchBlocks(blocks) {
+  const batches = [];
+  let batch = null;
+  let size = 0;
+
+  for (const original of chunkBlocks(blocks)) {
+    const content = original[original.type];
+    const children = content?.children || [];
+    const block = children.length > MAX_CHILDREN
+      ? { ...original, [original.type]: { ...content, children: children.slice(0, MAX_CHILDREN) } }
+      : original;
+    const count = countBlocks(block);
+
+    if (!batch || batch.blocks.length >= MAX_CHILDREN || size + count > MAX_BLOCKS_PER_REQUEST) {
+      batch = { blocks: [], overflow: new Map() };
+      batches.push(batch);
+      size = 0;
+    }
+
+    if (children.length > MAX_CHILDREN) {
+      batch.overflow.set(batch.blocks.length, children.slice(MAX_CHILDREN));
+    }
+    batch.blocks.push(block);
+    size += count;
+  }
+
+  return batches;
+}
@@ -0,0 +1,129 @@
+import { KIND_LABELS } from './canvas-items.js';
+
+/**
+ * Notion database schemas
+ *
+ * Describes every property the planner reads or writes, keyed by the
+ * field name used in taskData. Property names can be remapped for
+ * databases set up in another language with NOTION_PROPERTY_NAMES, e.g.
+ *   NOTION_PROPERTY_NAMES="Due Date:Fecha de entrega,Done:Hecho"
+ * `aliases` are older or common names that `migrate` renames to the current one,
+ * and `nullable` numbers are cleared in Notion when the value is null.
+ */
+
+export const DIFFICULTY_OPTIONS = ['Easy', 'Medium', 'Hard'];
+
+// Submission status of tasks whose Canvas item was deleted (see sync/removed-tasks.js)
+export const REMOVED_STATUS = 'Removed from Canvas';
+
+export const SUBMISSION_STATUS_OPTIONS = ['Not Submitted', 'Submitted', 'Submitted Late', 'Graded', 'Missing', 'Excused', REMOVED_STATUS];
+
+export const KIND_OPTIONS = Object.values(KIND_LABELS);
+
+export const REVIEW_TYPE_OPTIONS = ['Weekly Review', 'Daily Update'];
+
+// Properties of the task database
+export const TASK_FIELDS = {
+  name: { property: 'Name', type: 'title' },
+  kind: { property: 'Kind', type: 'select', options: KIND_OPTIONS, aliases: ['Item Type'] },
+  course: { property: 'Course', type: 'rich_text', aliases: ['Class'] },
+  aiOverview: { property: 'AI Overview', type: 'rich_text', aliases: ['Overview', 'AI Summary'] },
+  urgency: { property: 'Urgency', type: 'select', aliases: ['Priority Level'] },
+  canvasUrl: { property: 'Canvas URL', type: 'url', aliases: ['Canvas Link', 'URL', 'Link'] },
+  instance: { property: 'Canvas Instance', type: 'select', aliases: ['Instance', 'School'] },
+  canvasId: { property: 'Canvas ID', type: 'rich_text', aliases: ['Assignment ID'] },
+  dueDate: { property: 'Due Date', type: 'date', aliases: ['Due', 'Deadline'] },
+  done: { property: 'Done', type: 'checkbox', aliases: ['Completed', 'Complete'] },
+  points: { property: 'Points', type: 'number', aliases: ['Points Possible'] },
+  descriptionHash: { property: 'Description Hash', type: 'rich_text' },
+  estimatedHours: { property: 'Estimated Hours', type: 'number', aliases: ['Estimate'] },
+  aiEstimatedHours: { property: 'AI Estimated Hours', type: 'number' },
+  startBy: { property: 'Start By', type: 'date', aliases: ['Start Date'] },
+  deliverables: { property: 'Deliverables', type: 'rich_text' },
+  difficulty: { property: 'Difficulty', type: 'select', options: DIFFICULTY_OPTIONS },
+  submissionStatus: { property: 'Submission Status', type: 'select', options: SUBMISSION_STATUS_OPTIONS, aliases: ['Submission'] },
+  score: { property: 'Score', type: 'number', aliases: ['Grade'], nullable: true },
+  gradeImpact: { property: 'Grade Impact', type: 'number', nullable: true }
+};
+
+// Properties of the course database (see planning/grades.js); grades are percentages
+export const COURSE_FIELDS = {
+  name: { property: 'Name', type: 'title' },
+  instance: { property: 'Canvas Instance', type: 'select', aliases: ['Instance', 'School'] },
+  canvasId: { property: 'Canvas ID', type: 'rich_text' },
+  currentGrade: { property: 'Current Grade', type: 'number', nullable: true },
+  letterGrade: { property: 'Letter Grade', type: 'rich_text' },
+  weightRemaining: { property: 'Weight Remaining', type: 'number' },
+  minimumGrade: { property: 'Minimum Grade', type: 'number', nullable: true },
+  maximumGrade: { property: 'Maximum Grade', type: 'number', nullable: true },
+  neededOnRemaining: { property: 'Needed on Remaining', type: 'rich_text' },
+  neededOnFinal: { property: 'Needed on Final', type: 'rich_text' }
+};
+
+// Properties of the weekly review and daily update databases
+export const REVIEW_FIELDS = {
+  name: { property: 'Name', type: 'title' },
+  type: { property: 'Type', type: 'select', options: REVIEW_TYPE_OPTIONS },
+  date: { property: 'Date', type: 'date' }
+};
+
+/**
+ * Load property name overrides from NOTION_PROPERTY_NAMES
+ * @returns {Object<string, string>} Default property name → configured name
+ */
+export function loadPropertyNames(value = process.env.NOTION_PROPERTY_NAMES) {
+  const names = {};
+  if (!value) return names;
+
+  const known = new Set([...Object.values(TASK_FIELDS), ...Object.values(REVIEW_FIELDS), ...Object.values(COURSE_FIELDS)].map(field => field.property));
+
+  for (const entry of value.split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator === -1) continue;
+
+    const from = entry.slice(0, separator).trim();
+    const to = entry.slice(separator + 1).trim();
+    if (!known.has(from)) {
+      throw new Error(`Unknown property in NOTION_PROPERTY_NAMES: ${from}`);
+    }
+    names[from] = to;
+  }
+
+  return names;
+}
+
+/**
+ * Build the expected schema for a database, with configured names applied
+ * @param {Object} fields - TASK_FIELDS, REVIEW_FIELDS and/or COURSE_FIELDS
+ * @param {Object} options
+ * @param {Object} options.propertyNames - Name overrides from loadPropertyNames
+ * @param {string[]} options.urgencyLabels - Options for the Urgency select
+ * @returns {Object<string, {type: string, options?: string[], aliases: string[]}>} Keyed by property name
+ */
+export function buildSchema(fields, { propertyNames = loadPropertyNames(), urgencyLabels = [] } = {}) {
+  const schema = {};
+
+  for (const [field, definition] of Object.entries(fields)) {
+    const name = propertyNames[definition.property] || definition.property;
+    const options = field === 'urgency' ? urgencyLabels : definition.options;
+
+    schema[name] = {
+      type: definition.type,
+      ...(options && { options }),
+      // The default English name counts as an alias once the property is renamed
+      aliases: [...(definition.aliases || []), ...(name !== definition.property ? [definition.property] : [])]
+    };
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a schema entry to the property configuration Notion expects
+ */
+export function toNotionPropertyConfig({ type, options }) {
+  if (type === 'select') {
+    return { select: { options: (options || []).map(name => ({ name })) } };
+  }
+  return { [type]: {} };
+}
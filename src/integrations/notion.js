@@ -1,4 +1,25 @@
 import { Client } from '@notionhq/client';
+import { paginateNotion, paginateNotionBlocks, collectAll } from './pagination.js';
+import { htmlToBlocks, htmlToText } from './html-blocks.js';
+import { richText, textToRichText, paragraph, markdownToBlocks, markdownToRichText, batchBlocks } from './notion-blocks.js';
+import { getTaskKey } from './canvas-items.js';
+import { loadCanvasProfiles } from './canvas-profiles.js';
+import UrgencyEngine, { TIERS } from '../planning/urgency.js';
+import { TASK_FIELDS, REVIEW_FIELDS, COURSE_FIELDS, REMOVED_STATUS, loadPropertyNames, buildSchema, toNotionPropertyConfig } from './notion-schema.js';
+
+// Paragraphs that bound the part of a task page sync rewrites; anything
+// below the notes marker belongs to the student
+const TASK_BODY_START = '🔄 Synced from Canvas. This part is replaced when the assignment changes.';
+const TASK_NOTES_MARKER = '✏️ Your notes: anything below this line is kept by sync.';
+
+// Block types the API can't create
+const UNCOPYABLE_BLOCKS = ['child_page', 'child_database', 'synced_block', 'link_preview', 'template', 'unsupported'];
+
+// Block types that must be created together with their children
+const BLOCKS_CREATED_WITH_CHILDREN = ['table', 'column_list', 'column'];
+
+// Submission statuses that mean the student has nothing left to turn in
+const COMPLETED_SUBMISSION_STATUSES = ['Submitted', 'Submitted Late', 'Graded', 'Excused'];
 
 /**
  * Notion API Client for task management
@@ -9,6 +30,28 @@ class NotionClient {
       auth: process.env.NOTION_API_KEY
     });
     this.databaseId = process.env.NOTION_DATABASE_ID;
+    this.propertyNames = loadPropertyNames();
+    this.urgency = new UrgencyEngine();
+    this.minWriteIntervalMs = Number(process.env.NOTION_MIN_INTERVAL_MS ?? 350);
+    this.lastWriteAt = 0;
+  }
+
+  /**
+   * Get the configured name of a property (see NOTION_PROPERTY_NAMES)
+   */
+  property(name) {
+    return this.propertyNames[name] || name;
+  }
+
+  /**
+   * Space out task writes to stay under Notion's ~3 requests/second limit
+   */
+  async throttle() {
+    const wait = this.lastWriteAt + this.minWriteIntervalMs - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    this.lastWriteAt = Date.now();
   }
 
   /**
@@ -19,35 +62,103 @@ class NotionClient {
       const { week, summary, plan, categories } = weekData;
 
       // Create a new page in the database
-      const response = await this.notion.pages.create({
+      const response = await this.createPage({
         parent: { database_id: this.databaseId },
-        properties: {
-          'Name': {
-            title: [
-              {
-                text: {
-                  content: `Weekly Review - ${week}`
-                }
+        properties: this.buildProperties(REVIEW_FIELDS, {
+          name: `Weekly Review - ${week}`,
+          type: 'Weekly Review',
+          date: new Date().toISOString().split('T')[0]
+        })
+      }, this.buildWeeklyReviewContent(summary, plan, categories));
+
+      return response;
+    } catch (error) {
+      console.error('Error creating weekly review in Notion:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a page with any number of child blocks
+   * Bodies too large for one request are appended in batches afterwards.
+   * @param {Object} page - `parent` and `properties` for pages.create
+   * @param {Object[]} children - Page body blocks
+   */
+  async createPage(page, children = []) {
+    const batches = batchBlocks(children);
+    const fitsInOne = batches.length <= 1 && !batches.some(batch => batch.overflow.size > 0);
+
+    const response = await this.notion.pages.create({
+      ...page,
+      ...(fitsInOne && batches.length === 1 && { children: batches[0].blocks })
+    });
+
+    if (!fitsInOne) {
+      await this.appendBlocks(response.id, children);
+    }
+    return response;
+  }
+
+  /**
+   * Append blocks to a page or block, in as many requests as needed
+   * @param {string} blockId - Page or block to append to
+   * @param {Object[]} blocks
+   * @param {string} after - Insert after this child instead of at the end
+   * @returns {Promise<Object[]>} The appended top-level blocks
+   */
+  async appendBlocks(blockId, blocks, after) {
+    const appended = [];
+    let previous = after;
+
+    for (const batch of batchBlocks(blocks)) {
+      await this.throttle();
+      const response = await this.notion.blocks.children.append({
+        block_id: blockId,
+        children: batch.blocks,
+        ...(previous && { after: previous })
+      });
+
+      // Children past the per-block limit go in once their parent exists
+      for (const [index, children] of batch.overflow) {
+        await this.appendBlocks(response.results[index].id, children);
+      }
+
+      appended.push(...response.results);
+      if (previous) previous = response.results[response.results.length - 1].id;
+    }
+
+    return appended;
+  }
+
+  /**
+   * Find an existing weekly review page for the given week
+   */
+  async findWeeklyReview(week) {
+    try {
+      const response = await this.notion.databases.query({
+        database_id: this.databaseId,
+        filter: {
+          and: [
+            {
+              property: this.property('Type'),
+              select: {
+                equals: 'Weekly Review'
+              }
+            },
+            {
+              property: this.property('Name'),
+              title: {
+                equals: `Weekly Review - ${week}`
               }
-            ]
-          },
-          'Type': {
-            select: {
-              name: 'Weekly Review'
-            }
-          },
-          'Date': {
-            date: {
-              start: new Date().toISOString().split('T')[0]
             }
-          }
+          ]
         },
-        children: this.buildWeeklyReviewContent(summary, plan, categories)
+        page_size: 1
       });
 
-      return response;
+      return response.results[0] || null;
     } catch (error) {
-      console.error('Error creating weekly review in Notion:', error.message);
+      console.error('Error querying weekly reviews in Notion:', error.message);
       throw error;
     }
   }
@@ -67,13 +178,7 @@ class NotionClient {
       }
     });
 
-    blocks.push({
-      object: 'block',
-      type: 'paragraph',
-      paragraph: {
-        rich_text: [{ text: { content: summary } }]
-      }
-    });
+    blocks.push(...markdownToBlocks(summary));
 
     // Weekly Plan section
     blocks.push({
@@ -84,13 +189,7 @@ class NotionClient {
       }
     });
 
-    blocks.push({
-      object: 'block',
-      type: 'paragraph',
-      paragraph: {
-        rich_text: [{ text: { content: plan } }]
-      }
-    });
+    blocks.push(...markdownToBlocks(plan));
 
     // Tasks by category
     blocks.push({
@@ -103,19 +202,27 @@ class NotionClient {
 
     // Add each category
     if (categories.overdue && categories.overdue.length > 0) {
-      blocks.push(this.createCategoryBlock('🚨 Overdue', categories.overdue));
+      blocks.push(this.createCategoryBlock(`🚨 ${this.urgency.label('overdue')}`, categories.overdue));
     }
 
     if (categories.urgent && categories.urgent.length > 0) {
-      blocks.push(this.createCategoryBlock('⚡ Urgent (Next 2 Days)', categories.urgent));
+      blocks.push(this.createCategoryBlock(`⚡ ${this.urgency.label('urgent')}`, categories.urgent));
     }
 
     if (categories.thisWeek && categories.thisWeek.length > 0) {
-      blocks.push(this.createCategoryBlock('📅 This Week', categories.thisWeek));
+      blocks.push(this.createCategoryBlock(`📅 ${this.urgency.label('thisWeek')}`, categories.thisWeek));
     }
 
     if (categories.upcoming && categories.upcoming.length > 0) {
-      blocks.push(this.createCategoryBlock('📆 Upcoming', categories.upcoming));
+      blocks.push(this.createCategoryBlock(`📆 ${this.urgency.label('upcoming')}`, categories.upcoming));
+    }
+
+    if (categories.unscheduled && categories.unscheduled.length > 0) {
+      blocks.push(this.createCategoryBlock(`🗂️ ${this.urgency.label('unscheduled')}`, categories.unscheduled));
+    }
+
+    if (categories.submitted && categories.submitted.length > 0) {
+      blocks.push(this.createCategoryBlock(`✅ ${this.urgency.label('submitted')}`, categories.submitted));
     }
 
     return blocks;
@@ -137,7 +244,7 @@ class NotionClient {
             rich_text: [
               {
                 text: {
-                  content: `${task.name} - ${task.course_name} (Due: ${new Date(task.due_at).toLocaleDateString()})`
+                  content: `${task.name} - ${task.course_name} (${formatDue(task.due_at)})`
                 }
               }
             ],
@@ -155,31 +262,14 @@ class NotionClient {
     try {
       const { newTasks, updatedTasks, summary } = updateData;
 
-      const response = await this.notion.pages.create({
-        parent: { database_id: this.databaseId },
-        properties: {
-          'Name': {
-            title: [
-              {
-                text: {
-                  content: `Daily Update - ${new Date().toLocaleDateString()}`
-                }
-              }
-            ]
-          },
-          'Type': {
-            select: {
-              name: 'Daily Update'
-            }
-          },
-          'Date': {
-            date: {
-              start: new Date().toISOString().split('T')[0]
-            }
-          }
-        },
-        children: this.buildDailyUpdateContent(newTasks, updatedTasks, summary)
-      });
+      const response = await this.createPage({
+        parent: { database_id: this.updateDatabaseId },
+        properties: this.buildProperties(REVIEW_FIELDS, {
+          name: `Daily Update - ${new Date().toLocaleDateString()}`,
+          type: 'Daily Update',
+          date: new Date().toISOString().split('T')[0]
+        })
+      }, this.buildDailyUpdateContent(newTasks, updatedTasks, summary));
 
       return response;
     } catch (error) {
@@ -195,13 +285,7 @@ class NotionClient {
     const blocks = [];
 
     // Summary
-    blocks.push({
-      object: 'block',
-      type: 'paragraph',
-      paragraph: {
-        rich_text: [{ text: { content: summary } }]
-      }
-    });
+    blocks.push(...markdownToBlocks(summary));
 
     // New tasks
     if (newTasks.length > 0) {
@@ -221,7 +305,7 @@ class NotionClient {
             rich_text: [
               {
                 text: {
-                  content: `${task.name} - ${task.course_name} (Due: ${new Date(task.due_at).toLocaleDateString()})`
+                  content: `${task.name} - ${task.course_name} (${formatDue(task.due_at)})`
                 }
               }
             ],
@@ -255,6 +339,16 @@ class NotionClient {
             ]
           }
         });
+
+        (task.changes || []).forEach(change => {
+          blocks.push({
+            object: 'block',
+            type: 'bulleted_list_item',
+            bulleted_list_item: {
+              rich_text: [{ text: { content: change } }]
+            }
+          });
+        });
       });
     }
 
@@ -266,17 +360,15 @@ class NotionClient {
    */
   async queryExistingTasks() {
     try {
-      const response = await this.notion.databases.query({
+      return await collectAll(paginateNotion(this.notion, {
         database_id: this.databaseId,
         filter: {
-          property: 'Type',
+          property: this.property('Type'),
           select: {
             equals: 'Task'
           }
         }
-      });
-
-      return response.results;
+      }));
     } catch (error) {
       console.error('Error querying Notion database:', error.message);
       throw error;
@@ -284,99 +376,458 @@ class NotionClient {
   }
 
   /**
-   * Get all tasks from the task database
+   * Stream all tasks from a task database, page by page
+   * @param {string} databaseId
+   * @param {Object} filter - Optional Notion query filter
    */
-  async getTasksFromDatabase() {
+  iterateTasksFromDatabase(databaseId = this.taskDatabaseId, filter) {
+    return paginateNotion(this.notion, {
+      database_id: databaseId,
+      ...(filter && { filter })
+    });
+  }
+
+  /**
+   * Get all tasks from the task databases (every Canvas profile's, by default)
+   */
+  async getTasksFromDatabase(databaseIds = this.taskDatabaseIds) {
     try {
-      const taskDatabaseId = process.env.NOTION_TASK_DATABASE_ID || this.databaseId;
-      const response = await this.notion.databases.query({
-        database_id: taskDatabaseId,
-        page_size: 100
-      });
+      const tasks = [];
+      for (const databaseId of databaseIds) {
+        tasks.push(...await collectAll(this.iterateTasksFromDatabase(databaseId)));
+      }
+      return tasks;
+    } catch (error) {
+      console.error('Error fetching tasks from Notion:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all tasks keyed by their Canvas ID (see getCanvasId)
+   * Tasks without a Canvas ID yet are keyed by their Canvas URL instead
+   * (see getTaskKey), so sync can match and backfill them.
+   */
+  async getTasksByCanvasId(databaseIds = this.taskDatabaseIds) {
+    const name = this.property('Canvas ID');
+    const tasksMap = new Map();
 
-      return response.results;
+    const addLegacy = task => {
+      const key = getTaskKey(this.readTaskFields(task).canvasUrl);
+      if (key) tasksMap.set(key, task);
+    };
+
+    try {
+      for (const databaseId of databaseIds) {
+        const database = await this.notion.databases.retrieve({ database_id: databaseId });
+
+        // Databases that haven't been migrated can only be matched by URL
+        if (database.properties[name]?.type !== 'rich_text') {
+          for await (const task of this.iterateTasksFromDatabase(databaseId)) addLegacy(task);
+          continue;
+        }
+
+        for await (const task of this.iterateTasksFromDatabase(databaseId, { property: name, rich_text: { is_not_empty: true } })) {
+          tasksMap.set(this.readTaskFields(task).canvasId, task);
+        }
+        for await (const task of this.iterateTasksFromDatabase(databaseId, { property: name, rich_text: { is_empty: true } })) {
+          addLegacy(task);
+        }
+      }
     } catch (error) {
       console.error('Error fetching tasks from Notion:', error.message);
       throw error;
     }
+
+    return tasksMap;
   }
 
   /**
-   * Create a new task in the task database
+   * Get open tasks that were created in Notion and aren't linked to a Canvas item
    */
-  async createTaskInDatabase(taskData) {
+  async getUnlinkedTasks(databaseId = this.taskDatabaseId) {
     try {
-      const taskDatabaseId = process.env.NOTION_TASK_DATABASE_ID || this.databaseId;
-      
-      const properties = {
-        'Name': {
-          title: [
-            {
-              text: {
-                content: taskData.name
-              }
-            }
-          ]
+      const database = await this.notion.databases.retrieve({ database_id: databaseId });
+      const filters = [
+        { property: this.property('Canvas URL'), url: { is_empty: true } },
+        { property: this.property('Done'), checkbox: { equals: false } }
+      ];
+      if (database.properties[this.property('Canvas ID')]?.type === 'rich_text') {
+        filters.push({ property: this.property('Canvas ID'), rich_text: { is_empty: true } });
+      }
+      // Weekly reviews and daily updates may share the database
+      if (database.properties[this.property('Type')]?.type === 'select') {
+        filters.push({ property: this.property('Type'), select: { is_empty: true } });
+      }
+
+      return await collectAll(this.iterateTasksFromDatabase(databaseId, { and: filters }));
+    } catch (error) {
+      console.error('Error fetching unlinked tasks from Notion:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add the properties sync writes to databases made before they existed,
+   * so page writes aren't rejected
+   * Only missing properties are added; renames and type changes are left to `migrate`.
+   * @param {string[]} databaseIds
+   * @param {Object} schema - Schema from getTaskSchema or getCourseSchema
+   */
+  async ensureProperties(databaseIds, schema) {
+    try {
+      for (const databaseId of databaseIds) {
+        const { title, missing, renames } = await this.checkDatabaseSchema(databaseId, schema);
+        if (renames.length > 0) {
+          console.warn(`  ⚠️  ${title} has properties under old names (${renames.map(({ from }) => from).join(', ')}); run \`migrate\` to rename them`);
         }
-      };
+        if (missing.length === 0) continue;
 
-      // Add optional properties if they exist
-      if (taskData.course) {
-        properties['Course'] = {
-          rich_text: [
-            {
-              text: {
-                content: taskData.course
-              }
-            }
-          ]
-        };
+        await this.notion.databases.update({
+          database_id: databaseId,
+          properties: Object.fromEntries(missing.map(name => [name, toNotionPropertyConfig(schema[name])]))
+        });
+        console.log(`  ➕ Added the ${missing.join(', ')} ${missing.length === 1 ? 'property' : 'properties'} to ${title}`);
       }
+    } catch (error) {
+      console.error('Error adding missing Notion properties:', error.message);
+      throw error;
+    }
+  }
 
-      if (taskData.aiOverview) {
-        properties['AI Overview'] = {
-          rich_text: [
-            {
-              text: {
-                content: taskData.aiOverview
-              }
-            }
-          ]
-        };
+  /**
+   * Add missing task properties (e.g. Points, Canvas ID, Grade Impact)
+   * to task databases
+   */
+  async ensureTaskProperties(databaseIds = this.taskDatabaseIds) {
+    await this.ensureProperties(databaseIds, this.getTaskSchema());
+  }
+
+  /**
+   * Add missing grade properties to the course database
+   */
+  async ensureCourseProperties() {
+    await this.ensureProperties([this.courseDatabaseId], this.getCourseSchema());
+  }
+
+  /**
+   * Get the ID of the database tasks are written to
+   */
+  get taskDatabaseId() {
+    return process.env.NOTION_TASK_DATABASE_ID || this.databaseId;
+  }
+
+  /**
+   * Get the IDs of every task database, including those of Canvas profiles
+   */
+  get taskDatabaseIds() {
+    const ids = loadCanvasProfiles().map(profile => profile.notionDatabaseId || this.taskDatabaseId);
+    return [...new Set([this.taskDatabaseId, ...ids])];
+  }
+
+  /**
+   * Get the ID of the database daily updates are written to
+   */
+  get updateDatabaseId() {
+    return process.env.NOTION_UPDATE_DATABASE_ID || this.databaseId;
+  }
+
+  /**
+   * Expected schema of the task database
+   */
+  getTaskSchema() {
+    return buildSchema(TASK_FIELDS, {
+      propertyNames: this.propertyNames,
+      urgencyLabels: TIERS.map(tier => this.urgency.label(tier))
+    });
+  }
+
+  /**
+   * Get the ID of the course database, if one is configured
+   */
+  get courseDatabaseId() {
+    return process.env.NOTION_COURSE_DATABASE_ID;
+  }
+
+  /**
+   * Expected schema of the course database
+   */
+  getCourseSchema() {
+    return buildSchema(COURSE_FIELDS, { propertyNames: this.propertyNames });
+  }
+
+  /**
+   * Expected schema of the weekly review and daily update databases
+   */
+  getReviewSchema() {
+    return buildSchema(REVIEW_FIELDS, { propertyNames: this.propertyNames });
+  }
+
+  /**
+   * List the configured databases with the schema each must have
+   * Databases shared between tasks, reviews and updates get the combined schema.
+   * @returns {Array<{name: string, databaseId: string, schema: Object}>}
+   */
+  getDatabaseSchemas() {
+    const databases = [];
+    const add = (name, databaseId, schema) => {
+      const shared = databases.find(database => database.databaseId === databaseId);
+      if (shared) {
+        shared.name += ` / ${name}`;
+        shared.schema = { ...schema, ...shared.schema };
+      } else {
+        databases.push({ name, databaseId, schema });
       }
+    };
 
-      if (taskData.urgency) {
-        properties['Urgency'] = {
-          select: {
-            name: taskData.urgency
-          }
-        };
+    add('tasks', this.taskDatabaseId, this.getTaskSchema());
+    for (const profile of loadCanvasProfiles()) {
+      if (profile.notionDatabaseId) add(`${profile.name} tasks`, profile.notionDatabaseId, this.getTaskSchema());
+    }
+    if (process.env.REMOVED_TASK_DATABASE_ID) {
+      add('removed tasks', process.env.REMOVED_TASK_DATABASE_ID, this.getTaskSchema());
+    }
+    add('reviews', this.databaseId, this.getReviewSchema());
+    add('updates', this.updateDatabaseId, this.getReviewSchema());
+    if (this.courseDatabaseId) {
+      add('courses', this.courseDatabaseId, this.getCourseSchema());
+    }
+
+    return databases;
+  }
+
+  /**
+   * Create a database under a page with the given schema
+   * @param {string} parentPageId - Page the database is created in
+   * @param {string} title - Database title
+   * @param {Object} schema - Schema from getTaskSchema or getReviewSchema
+   */
+  async createDatabase(parentPageId, title, schema) {
+    try {
+      const properties = {};
+      for (const [name, definition] of Object.entries(schema)) {
+        properties[name] = toNotionPropertyConfig(definition);
+      }
+
+      return await this.notion.databases.create({
+        parent: { type: 'page_id', page_id: parentPageId },
+        title: [{ type: 'text', text: { content: title } }],
+        properties
+      });
+    } catch (error) {
+      console.error(`Error creating database "${title}" in Notion:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a database's properties with a schema
+   * Properties found under an alias (or, for the title, under any name) are
+   * reported as renames rather than missing.
+   * @returns {Promise<{title: string, missing: string[], wrongType: Array<{name, expected, actual}>, missingOptions: Array<{name, property, options, current}>, renames: Array<{from, to}>}>}
+   */
+  async checkDatabaseSchema(databaseId, schema) {
+    const database = await this.notion.databases.retrieve({ database_id: databaseId });
+    const properties = database.properties;
+    const missing = [];
+    const wrongType = [];
+    const missingOptions = [];
+    const renames = [];
+
+    for (const [name, expected] of Object.entries(schema)) {
+      let current = name;
+
+      if (!properties[name]) {
+        // Every database has exactly one title property, whatever it is called
+        current = expected.type === 'title'
+          ? Object.keys(properties).find(key => properties[key].type === 'title')
+          : expected.aliases.find(alias => properties[alias]?.type === expected.type && !schema[alias]);
+
+        if (!current) {
+          missing.push(name);
+          continue;
+        }
+        renames.push({ from: current, to: name });
       }
 
-      if (taskData.canvasUrl) {
-        properties['Canvas URL'] = {
-          url: taskData.canvasUrl
+      const property = properties[current];
+      if (property.type !== expected.type) {
+        wrongType.push({ name, expected: expected.type, actual: property.type });
+        continue;
+      }
+
+      if (expected.options) {
+        const existing = property.select.options.map(option => option.name);
+        const absent = expected.options.filter(option => !existing.includes(option));
+        if (absent.length > 0) {
+          missingOptions.push({ name, property: current, options: absent, current: existing });
+        }
+      }
+    }
+
+    return {
+      title: (database.title || []).map(part => part.plain_text).join('') || databaseId,
+      missing,
+      wrongType,
+      missingOptions,
+      renames
+    };
+  }
+
+  /**
+   * Bring a database up to date with a schema: rename aliased properties,
+   * add missing properties and add missing select options
+   * Properties with the wrong type are reported but left alone, since
+   * changing the type can lose data.
+   * @param {string} databaseId
+   * @param {Object} schema
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Report the changes without applying them
+   * @returns {Promise<Object>} The checkDatabaseSchema report, plus `changes` (the properties sent to Notion)
+   */
+  async migrateDatabase(databaseId, schema, { dryRun = false } = {}) {
+    try {
+      const report = await this.checkDatabaseSchema(databaseId, schema);
+      const changes = {};
+
+      for (const { from, to } of report.renames) {
+        changes[from] = { name: to };
+      }
+
+      for (const name of report.missing) {
+        changes[name] = toNotionPropertyConfig(schema[name]);
+      }
+
+      // Notion replaces the option list, so existing options are sent too
+      for (const { property, options, current } of report.missingOptions) {
+        changes[property] = {
+          ...changes[property],
+          select: { options: [...current, ...options].map(name => ({ name })) }
         };
       }
 
-      if (taskData.dueDate) {
-        properties['Due Date'] = {
-          date: {
-            start: new Date(taskData.dueDate).toISOString()
+      if (!dryRun && Object.keys(changes).length > 0) {
+        await this.notion.databases.update({ database_id: databaseId, properties: changes });
+      }
+
+      return { ...report, changes };
+    } catch (error) {
+      console.error(`Error migrating Notion database ${databaseId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single task page by ID, or null if it no longer exists
+   */
+  async getTask(pageId) {
+    try {
+      const page = await this.notion.pages.retrieve({ page_id: pageId });
+      return page.archived ? null : page;
+    } catch (error) {
+      if (error.code === 'object_not_found') return null;
+      console.error(`Error fetching task ${pageId} from Notion:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build Notion property values from data keyed by field name
+   * Empty values are left out so updates don't clear existing properties;
+   * `nullable` number fields are written as null to clear them.
+   * @param {Object} fields - TASK_FIELDS, REVIEW_FIELDS or COURSE_FIELDS
+   * @param {Object} data - Values keyed by field name
+   */
+  buildProperties(fields, data) {
+    const properties = {};
+
+    for (const [field, definition] of Object.entries(fields)) {
+      const value = data[field];
+      const name = this.property(definition.property);
+
+      switch (definition.type) {
+        case 'title':
+        case 'rich_text':
+          if (value) properties[name] = { [definition.type]: textToRichText(value) };
+          break;
+        case 'select':
+          if (value) properties[name] = { select: { name: value } };
+          break;
+        case 'url':
+          if (value) properties[name] = { url: value };
+          break;
+        case 'date':
+          // Date-only values stay all-day dates
+          if (value) {
+            properties[name] = {
+              date: { start: /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : new Date(value).toISOString() }
+            };
           }
-        };
+          break;
+        case 'checkbox':
+          if (value !== undefined) properties[name] = { checkbox: value };
+          break;
+        case 'number':
+          if (value !== undefined && (value !== null || definition.nullable)) properties[name] = { number: value };
+          break;
       }
+    }
 
-      if (taskData.done !== undefined) {
-        properties['Done'] = {
-          checkbox: taskData.done
-        };
+    return properties;
+  }
+
+  /**
+   * Read Notion property values back into data keyed by field name
+   * @param {Object} fields - TASK_FIELDS, REVIEW_FIELDS or COURSE_FIELDS
+   * @param {Object} page - Notion page
+   */
+  readProperties(fields, page) {
+    const properties = page.properties || {};
+    const plainText = richText => (richText || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+    const data = {};
+
+    for (const [field, definition] of Object.entries(fields)) {
+      const property = properties[this.property(definition.property)];
+
+      switch (definition.type) {
+        case 'title':
+        case 'rich_text':
+          data[field] = plainText(property?.[definition.type]);
+          break;
+        case 'select':
+          data[field] = property?.select?.name;
+          break;
+        case 'date':
+          data[field] = property?.date?.start;
+          break;
+        default:
+          data[field] = property?.[definition.type];
       }
+    }
 
-      const response = await this.notion.pages.create({
-        parent: { database_id: taskDatabaseId },
-        properties: properties
-      });
+    return data;
+  }
+
+  /**
+   * Read a task page's properties back into the shape used by taskData
+   */
+  readTaskFields(task) {
+    return this.readProperties(TASK_FIELDS, task);
+  }
+
+  /**
+   * Create a new task in a task database (the default one unless given)
+   * @param {Object} taskData - Values keyed by field name
+   * @param {string} databaseId
+   * @param {Object} body - Page body content (see buildTaskContent)
+   */
+  async createTaskInDatabase(taskData, databaseId = this.taskDatabaseId, body) {
+    try {
+      await this.throttle();
+      const response = await this.createPage({
+        parent: { database_id: databaseId },
+        properties: this.buildProperties(TASK_FIELDS, taskData)
+      }, body ? [paragraph(TASK_BODY_START), ...this.buildTaskContent(body), paragraph(TASK_NOTES_MARKER)] : []);
 
       return response;
     } catch (error) {
@@ -390,113 +841,275 @@ class NotionClient {
    */
   async updateTaskInDatabase(pageId, taskData) {
     try {
-      const properties = {};
+      await this.throttle();
+      const response = await this.notion.pages.update({
+        page_id: pageId,
+        properties: this.buildProperties(TASK_FIELDS, taskData)
+      });
 
-      // Update properties that are provided
-      if (taskData.name) {
-        properties['Name'] = {
-          title: [
-            {
-              text: {
-                content: taskData.name
-              }
-            }
-          ]
-        };
-      }
+      return response;
+    } catch (error) {
+      console.error('Error updating task in Notion:', error.message);
+      throw error;
+    }
+  }
 
-      if (taskData.course) {
-        properties['Course'] = {
-          rich_text: [
-            {
-              text: {
-                content: taskData.course
-              }
-            }
-          ]
-        };
+  /**
+   * Get all course pages keyed by their Canvas ID (see getCourseKey)
+   */
+  async getCoursesByCanvasId(databaseId = this.courseDatabaseId) {
+    try {
+      const courses = new Map();
+      for await (const page of this.iterateTasksFromDatabase(databaseId)) {
+        const { canvasId } = this.readCourseFields(page);
+        if (canvasId) courses.set(canvasId, page);
       }
+      return courses;
+    } catch (error) {
+      console.error('Error fetching courses from Notion:', error.message);
+      throw error;
+    }
+  }
 
-      if (taskData.aiOverview) {
-        properties['AI Overview'] = {
-          rich_text: [
-            {
-              text: {
-                content: taskData.aiOverview
-              }
-            }
-          ]
+  /**
+   * Read a course page's properties back into the shape used by saveCourse
+   */
+  readCourseFields(page) {
+    return this.readProperties(COURSE_FIELDS, page);
+  }
+
+  /**
+   * Create or update a course page
+   * @param {Object} courseData - Values keyed by COURSE_FIELDS field name
+   * @param {string} pageId - Existing page to update, if any
+   */
+  async saveCourse(courseData, pageId) {
+    try {
+      await this.throttle();
+      const properties = this.buildProperties(COURSE_FIELDS, courseData);
+
+      return pageId
+        ? await this.notion.pages.update({ page_id: pageId, properties })
+        : await this.notion.pages.create({ parent: { database_id: this.courseDatabaseId }, properties });
+    } catch (error) {
+      console.error(`Error saving course ${courseData.name} in Notion:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the synced part of a task page
+   * @param {Object} body
+   * @param {string} body.description - Canvas HTML
+   * @param {string} body.origin - Canvas origin, for relative links
+   * @param {Array} body.rubric - Canvas rubric criteria
+   * @param {Array<{type, name, url}>} body.attachments - Files and external tools
+   * @param {string[]} body.checklist - To-do items
+   * @param {Set<string>} checked - Checklist items to show as done
+   */
+  buildTaskContent({ description, origin, rubric = [], attachments = [], checklist = [] }, checked = new Set()) {
+    const blocks = [];
+    const heading = text => ({ object: 'block', type: 'heading_2', heading_2: { rich_text: [richText(text)] } });
+
+    const descriptionBlocks = htmlToBlocks(description, origin);
+    if (descriptionBlocks.length > 0) {
+      blocks.push(heading('📝 Description'), ...descriptionBlocks);
+    }
+
+    if (rubric.length > 0) {
+      blocks.push(heading('📊 Rubric'), this.buildRubricTable(rubric));
+    }
+
+    if (attachments.length > 0) {
+      blocks.push(heading('📎 Files and links'), ...attachments.map(attachment => ({
+        object: 'block',
+        type: 'bulleted_list_item',
+        bulleted_list_item: {
+          rich_text: [richText(`${attachment.type === 'tool' ? '🧩' : '📄'} ${attachment.name}`, { link: attachment.url })]
+        }
+      })));
+    }
+
+    if (checklist.length > 0) {
+      blocks.push(heading('✅ Checklist'), ...checklist.map(item => {
+        const text = markdownToRichText(item);
+        return {
+          object: 'block',
+          type: 'to_do',
+          to_do: { rich_text: text, checked: checked.has(text.map(part => part.text.content).join('')) }
         };
+      }));
+    }
+
+    blocks.push({ object: 'block', type: 'divider', divider: {} });
+    return blocks;
+  }
+
+  /**
+   * Build a table of rubric criteria and their ratings
+   */
+  buildRubricTable(rubric) {
+    const row = cells => ({
+      object: 'block',
+      type: 'table_row',
+      table_row: { cells: cells.map(cell => (cell ? [richText(cell)] : [])) }
+    });
+
+    return {
+      object: 'block',
+      type: 'table',
+      table: {
+        table_width: 3,
+        has_column_header: true,
+        has_row_header: false,
+        children: [
+          row(['Criterion', 'Ratings', 'Points']),
+          ...rubric.map(criterion => row([
+            [criterion.description, criterion.long_description && htmlToText(criterion.long_description)].filter(Boolean).join('\n'),
+            (criterion.ratings || []).map(rating => `${rating.points} pts: ${rating.description}`).join('\n'),
+            criterion.points === undefined || criterion.points === null ? '' : String(criterion.points)
+          ]))
+        ]
       }
+    };
+  }
 
-      if (taskData.urgency) {
-        properties['Urgency'] = {
-          select: {
-            name: taskData.urgency
-          }
-        };
+  /**
+   * Replace the synced part of a task page, keeping the student's notes
+   * The checklist keeps items that were ticked; without a new checklist the
+   * current one is kept. Pages without a synced part get one added at the end.
+   * A lone start (e.g. from a write that failed partway) is rebuilt below it,
+   * keeping whatever follows as notes; a lone notes marker replaces what is
+   * above it and becomes the start.
+   * @param {string} pageId
+   * @param {Object} body - See buildTaskContent
+   */
+  async updateTaskBody(pageId, body) {
+    try {
+      const children = await collectAll(paginateNotionBlocks(this.notion, pageId));
+      const start = children.findIndex(block => blockText(block) === TASK_BODY_START);
+      // The notes marker that closes the synced part
+      const end = children.findIndex((block, index) => index > start && blockText(block) === TASK_NOTES_MARKER);
+      const synced = start === -1 ? children.slice(0, Math.max(end, 0)) : end === -1 ? [] : children.slice(start + 1, end);
+
+      const todos = synced.filter(block => block.type === 'to_do');
+      const checked = new Set(todos.filter(block => block.to_do.checked).map(blockText));
+      const blocks = this.buildTaskContent({ ...body, checklist: body.checklist ?? todos.map(blockText) }, checked);
+
+      if (start === -1 && end === -1) {
+        return await this.appendBlocks(pageId, [paragraph(TASK_BODY_START), ...blocks, paragraph(TASK_NOTES_MARKER)]);
       }
 
-      if (taskData.canvasUrl) {
-        properties['Canvas URL'] = {
-          url: taskData.canvasUrl
-        };
+      for (const block of synced) {
+        await this.throttle();
+        await this.notion.blocks.delete({ block_id: block.id });
       }
 
-      if (taskData.dueDate) {
-        properties['Due Date'] = {
-          date: {
-            start: new Date(taskData.dueDate).toISOString()
-          }
-        };
+      if (start === -1) {
+        await this.throttle();
+        await this.notion.blocks.update({ block_id: children[end].id, paragraph: paragraph(TASK_BODY_START).paragraph });
+        return await this.appendBlocks(pageId, [...blocks, paragraph(TASK_NOTES_MARKER)], children[end].id);
       }
 
-      if (taskData.done !== undefined) {
-        properties['Done'] = {
-          checkbox: taskData.done
-        };
+      if (end === -1) {
+        return await this.appendBlocks(pageId, [...blocks, paragraph(TASK_NOTES_MARKER)], children[start].id);
       }
 
-      const response = await this.notion.pages.update({
-        page_id: pageId,
-        properties: properties
-      });
+      return await this.appendBlocks(pageId, blocks, children[start].id);
+    } catch (error) {
+      console.error('Error updating task page body in Notion:', error.message);
+      throw error;
+    }
+  }
 
-      return response;
+  /**
+   * Archive a task page
+   */
+  async archiveTask(pageId) {
+    try {
+      await this.throttle();
+      return await this.notion.pages.update({ page_id: pageId, archived: true });
     } catch (error) {
-      console.error('Error updating task in Notion:', error.message);
+      console.error('Error archiving task in Notion:', error.message);
       throw error;
     }
   }
 
   /**
-   * Update urgency for all tasks based on current dates
+   * Move a task to another database
+   * Notion can't change a page's database, so the properties and body
+   * (with the student's notes) are copied to a new page there and the
+   * original is archived.
    */
-  async updateAllTasksUrgency() {
+  async moveTaskToDatabase(task, databaseId) {
+    const page = await this.createTaskInDatabase(this.readTaskFields(task), databaseId);
+
     try {
-      const tasks = await this.getTasksFromDatabase();
-      let updateCount = 0;
+      await this.copyBlocks(task.id, page.id);
+    } catch (error) {
+      // Keep the original, so nothing is lost, and drop the partial copy
+      await this.archiveTask(page.id);
+      throw error;
+    }
 
-      for (const task of tasks) {
-        const dueDate = task.properties['Due Date']?.date?.start;
-        const currentUrgency = task.properties['Urgency']?.select?.name;
-        const isDone = task.properties['Done']?.checkbox;
+    await this.archiveTask(task.id);
+    return page;
+  }
 
-        // Skip if no due date or already done
-        if (!dueDate || isDone) continue;
+  /**
+   * Copy a page's body (or a block's children) to another page or block
+   * Child pages and databases, synced blocks and files uploaded to Notion
+   * can't be created through the API and are left out.
+   */
+  async copyBlocks(fromId, toId) {
+    try {
+      const blocks = (await collectAll(paginateNotionBlocks(this.notion, fromId))).filter(isCopyableBlock);
+
+      const copies = [];
+      for (const block of blocks) {
+        copies.push(await this.readBlockCopy(block));
+      }
 
-        // Calculate what urgency should be
-        const newUrgency = this.calculateUrgencyFromDate(dueDate);
+      const created = await this.appendBlocks(toId, copies);
 
-        // Update if different
-        if (newUrgency !== currentUrgency) {
-          await this.updateTaskInDatabase(task.id, { urgency: newUrgency });
-          updateCount++;
+      // Other nested blocks are copied once their parent exists
+      for (const [index, block] of blocks.entries()) {
+        if (block.has_children && !BLOCKS_CREATED_WITH_CHILDREN.includes(block.type)) {
+          await this.copyBlocks(block.id, created[index].id);
         }
       }
+    } catch (error) {
+      console.error('Error copying page content in Notion:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a copy of a block, with its contents if it can only be created with them
+   */
+  async readBlockCopy(block) {
+    const children = [];
+    if (block.has_children && BLOCKS_CREATED_WITH_CHILDREN.includes(block.type)) {
+      for (const child of await collectAll(paginateNotionBlocks(this.notion, block.id))) {
+        if (isCopyableBlock(child)) children.push(await this.readBlockCopy(child));
+      }
+    }
+    return copyBlock(block, children);
+  }
 
-      console.log(`  Updated urgency for ${updateCount} tasks`);
-      return updateCount;
+  /**
+   * Update urgency for all tasks based on current dates
+   */
+  async updateAllTasksUrgency() {
+    try {
+      const changes = await this.planUrgencyUpdates();
+
+      for (const change of changes) {
+        await this.updateTaskInDatabase(change.pageId, { urgency: change.to });
+      }
+
+      console.log(`  Updated urgency for ${changes.length} tasks`);
+      return changes.length;
     } catch (error) {
       console.error('Error updating task urgencies:', error.message);
       throw error;
@@ -504,25 +1117,99 @@ class NotionClient {
   }
 
   /**
-   * Calculate urgency based on due date
+   * Work out which tasks need a new urgency, without writing anything
    */
-  calculateUrgencyFromDate(dueDate) {
-    if (!dueDate) return 'Upcoming';
+  async planUrgencyUpdates() {
+    // Collect up front so updates can't shift pages under the cursor
+    const tasks = await this.getTasksFromDatabase();
 
-    const now = new Date();
-    const due = new Date(dueDate);
-    const daysUntilDue = (due - now) / (1000 * 60 * 60 * 24);
+    // Skip if no due date, already done or gone from Canvas
+    const openTasks = tasks.filter(task => {
+      const { dueDate, done, submissionStatus } = this.readTaskFields(task);
+      return dueDate && !done && submissionStatus !== REMOVED_STATUS;
+    });
 
-    if (daysUntilDue < 0) {
-      return 'Overdue';
-    } else if (daysUntilDue <= 2) {
-      return 'Urgent';
-    } else if (daysUntilDue <= 7) {
-      return 'This Week';
-    } else {
-      return 'Upcoming';
-    }
+    // Classify together so overloaded weeks are detected
+    const tiers = this.urgency.classifyAll(openTasks.map(task => this.toUrgencyInput(task)));
+
+    return openTasks
+      .map((task, index) => {
+        const { name, urgency } = this.readTaskFields(task);
+        return { pageId: task.id, name, from: urgency, to: this.urgency.label(tiers[index]) };
+      })
+      .filter(change => change.from !== change.to);
   }
+
+  /**
+   * Read the fields the urgency engine needs from a task page
+   */
+  toUrgencyInput(task) {
+    const fields = this.readTaskFields(task);
+    return {
+      dueDate: fields.dueDate,
+      startBy: fields.startBy,
+      course: fields.course,
+      // Turned-in work is never overdue
+      completed: COMPLETED_SUBMISSION_STATUSES.includes(fields.submissionStatus),
+      hours: fields.estimatedHours,
+      gradeImpact: fields.gradeImpact
+    };
+  }
+
+  /**
+   * Calculate urgency based on due date, submission status and scheduled start
+   */
+  calculateUrgencyFromDate(dueDate, submissionStatus, startBy, course) {
+    return this.urgency.label(this.urgency.classify({
+      dueDate,
+      startBy,
+      course,
+      completed: COMPLETED_SUBMISSION_STATUSES.includes(submissionStatus)
+    }));
+  }
+}
+
+/**
+ * Get the plain text of a block
+ */
+function blockText(block) {
+  return (block[block.type]?.rich_text || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+}
+
+/**
+ * Check whether a block read from Notion can be created again elsewhere
+ */
+function isCopyableBlock(block) {
+  return !UNCOPYABLE_BLOCKS.includes(block.type) && block[block.type]?.type !== 'file';
+}
+
+/**
+ * Turn a block read from Notion into one that can be appended, with the
+ * given (already copied) children; read-only fields like IDs are dropped
+ */
+function copyBlock(block, children = []) {
+  const { rich_text: text, ...content } = block[block.type] || {};
+  const copyText = parts => parts.map(part => ({
+    type: 'text',
+    text: { content: part.plain_text ?? part.text?.content ?? '', ...(part.href && { link: { url: part.href } }) },
+    ...(part.annotations && { annotations: part.annotations })
+  }));
+
+  if (text) content.rich_text = copyText(text);
+  if (content.cells) content.cells = content.cells.map(copyText);
+  if (content.caption) content.caption = copyText(content.caption);
+  if (content.icon?.type === 'file') delete content.icon;
+  delete content.children;
+  if (children.length > 0) content.children = children;
+
+  return { object: 'block', type: block.type, [block.type]: content };
+}
+
+/**
+ * Describe a due date for review and update pages
+ */
+function formatDue(dueAt) {
+  return dueAt ? `Due: ${new Date(dueAt).toLocaleDateString()}` : 'No due date';
 }
 
 export default NotionClient;
@@ -0,0 +1,99 @@
+/**
+ * Shared pagination helpers for the Canvas and Notion clients
+ *
+ * Every paginated API is reduced to a `fetchPage(cursor)` function that
+ * returns `{ items, nextCursor }`. `paginate` walks the pages lazily so
+ * callers can stream items with `for await`, and `collectAll` gathers
+ * them into a single array.
+ */
+
+/**
+ * Walk every page, yielding items one at a time
+ */
+export async function* paginate(fetchPage) {
+  let cursor;
+
+  do {
+    const { items, nextCursor } = await fetchPage(cursor);
+    yield* items;
+    cursor = nextCursor;
+  } while (cursor);
+}
+
+/**
+ * Collect every item from an async iterable into an array
+ */
+export async function collectAll(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Parse the `rel="next"` URL out of a Canvas `Link` header
+ */
+export function parseNextLink(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (match) return match[1];
+  }
+
+  return null;
+}
+
+/**
+ * Page through a Canvas list endpoint by following `Link` headers
+ */
+export function paginateCanvas(client, url, params = {}) {
+  return paginate(async nextUrl => {
+    // The next link already carries the query string, so params are only sent once
+    const response = nextUrl
+      ? await client.get(nextUrl)
+      : await client.get(url, { params: { per_page: 100, ...params } });
+
+    return {
+      items: response.data,
+      nextCursor: parseNextLink(response.headers?.link)
+    };
+  });
+}
+
+/**
+ * Page through a Notion database query using `has_more`/`next_cursor`
+ */
+export function paginateNotion(notion, query) {
+  return paginate(async startCursor => {
+    const response = await notion.databases.query({
+      page_size: 100,
+      ...query,
+      ...(startCursor && { start_cursor: startCursor })
+    });
+
+    return {
+      items: response.results,
+      nextCursor: response.has_more ? response.next_cursor : null
+    };
+  });
+}
+
+/**
+ * Page through the child blocks of a Notion page or block
+ */
+export function paginateNotionBlocks(notion, blockId) {
+  return paginate(async startCursor => {
+    const response = await notion.blocks.children.list({
+      block_id: blockId,
+      page_size: 100,
+      ...(startCursor && { start_cursor: startCursor })
+    });
+
+    return {
+      items: response.results,
+      nextCursor: response.has_more ? response.next_cursor : null
+    };
+  });
+}
@@ -0,0 +1,176 @@
+import CanvasClient from '../integrations/canvas.js';
+import CanvasAccounts from '../integrations/canvas-accounts.js';
+import NotionClient from '../integrations/notion.js';
+import AIProvider from '../ai/provider.js';
+import SyncStateStore from '../sync/state-store.js';
+import { describeAIError } from '../ai/errors.js';
+import { runIfMain } from '../cli.js';
+
+/**
+ * Daily Update Job
+ * Compares today's Canvas assignments with what the previous daily update
+ * saw (kept in the sync state store) and publishes a Daily Update page
+ * describing what changed. Items the previous update didn't cover are
+ * compared with their Notion task, if it already existed then.
+ * @param {Object} options
+ * @param {string} options.course - Only include matching courses
+ * @param {string} options.profile - Only use these Canvas profiles (comma-separated)
+ * @param {Date} options.since - Only include assignments due on or after this date
+ * @param {Date} options.until - Only include assignments due on or before this date
+ * @param {string} options.provider - AI provider override
+ * @param {string} options.model - AI model override
+ */
+async function runDailyUpdate(options = {}) {
+  console.log('🌅 Starting Daily Update...');
+
+  try {
+    // Initialize clients
+    const canvas = new CanvasClient();
+    const accounts = new CanvasAccounts(options.profile);
+    const notion = new NotionClient();
+    const ai = new AIProvider(options);
+    const state = await new SyncStateStore().load();
+
+    console.log('📚 Fetching all items from Canvas...');
+    const assignments = await accounts.getAllItems(options);
+    console.log(`Found ${assignments.length} total items`);
+
+    console.log('📋 Fetching existing tasks from Notion...');
+    const existingTasksMap = await notion.getTasksByCanvasId();
+    console.log(`Found ${existingTasksMap.size} existing tasks in Notion`);
+
+    // Diff Canvas against what the last daily update saw
+    const newTasks = [];
+    const updatedTasks = [];
+    const reported = {};
+
+    for (const assignment of assignments) {
+      reported[assignment.key] = {
+        dueDate: assignment.due_at,
+        points: assignment.points_possible,
+        descriptionHash: canvas.getDescriptionHash(assignment)
+      };
+
+      const previous = state.getReported(assignment.key) ?? getNotionBaseline(notion, assignment, existingTasksMap, state.reportedAt);
+      if (!previous) {
+        newTasks.push(assignment);
+        continue;
+      }
+
+      const changes = detectChanges(canvas, assignment, previous);
+      if (changes.length > 0) {
+        updatedTasks.push({ ...assignment, changes });
+      }
+    }
+
+    console.log(`✨ ${newTasks.length} new, 🔄 ${updatedTasks.length} updated`);
+
+    console.log('🤖 Generating daily summary...');
+    const summary = await generateDailySummary(ai, newTasks, updatedTasks);
+
+    console.log('📝 Creating daily update in Notion...');
+    const response = await notion.createDailyUpdate({
+      newTasks,
+      updatedTasks,
+      summary
+    });
+
+    // The next update reports changes from here on
+    state.setReported(reported);
+    await state.save();
+
+    console.log('\n✅ Daily update completed successfully!');
+    console.log(`📊 Summary: ${newTasks.length} new tasks, ${updatedTasks.length} updated tasks`);
+
+    return {
+      pageId: response.id,
+      newTasks: newTasks.map(task => ({ id: task.id, name: task.name, course: task.course_name })),
+      updatedTasks: updatedTasks.map(task => ({ id: task.id, name: task.name, course: task.course_name, changes: task.changes }))
+    };
+  } catch (error) {
+    console.error('❌ Error running daily update:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the Notion task fields of an item the last daily update didn't cover,
+ * or null if its task didn't exist yet at that update (so it counts as new)
+ */
+function getNotionBaseline(notion, assignment, existingTasksMap, reportedAt) {
+  const task = existingTasksMap.get(assignment.key) ?? existingTasksMap.get(assignment.legacyKey);
+  if (!task) return null;
+  if (reportedAt && new Date(task.created_time) > new Date(reportedAt)) return null;
+  return notion.readTaskFields(task);
+}
+
+/**
+ * Compare a Canvas assignment with the fields it had before (as reported or
+ * in Notion) and describe what changed
+ */
+function detectChanges(canvas, assignment, previous) {
+  const changes = [];
+
+  // Due date
+  const previousDue = previous.dueDate;
+  const currentDue = assignment.due_at;
+  if (previousDue && currentDue && new Date(previousDue).getTime() !== new Date(currentDue).getTime()) {
+    changes.push(`Due date moved: ${formatDate(previousDue)} → ${formatDate(currentDue)}`);
+  }
+
+  // Points (only once the task has a stored value to compare against)
+  const previousPoints = previous.points;
+  const currentPoints = assignment.points_possible;
+  if (previousPoints !== undefined && previousPoints !== null && currentPoints !== undefined && currentPoints !== null && previousPoints !== currentPoints) {
+    changes.push(`Points changed: ${previousPoints} → ${currentPoints}`);
+  }
+
+  // Description (compared by fingerprint, since Notion doesn't hold the full text)
+  const previousHash = previous.descriptionHash;
+  if (previousHash && previousHash !== canvas.getDescriptionHash(assignment)) {
+    changes.push('Description was edited');
+  }
+
+  return changes;
+}
+
+/**
+ * Format a date for change descriptions
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleString();
+}
+
+/**
+ * Generate an AI summary of today's changes
+ */
+async function generateDailySummary(ai, newTasks, updatedTasks) {
+  if (newTasks.length === 0 && updatedTasks.length === 0) {
+    return 'No changes in Canvas since the last update.';
+  }
+
+  try {
+    const systemPrompt = `You are a helpful academic assistant. Briefly tell a student what changed in their coursework today and what to act on.`;
+
+    const userPrompt = `Summarize these Canvas changes in 2-4 sentences.
+
+New assignments:
+${newTasks.map(t => `- ${t.name} (${t.course_name}), ${t.due_at ? `due ${formatDate(t.due_at)}` : 'no due date'}, ${t.points_possible ?? 'N/A'} pts`).join('\n') || 'None'}
+
+Updated assignments:
+${updatedTasks.map(t => `- ${t.name} (${t.course_name}): ${t.changes.join('; ')}`).join('\n') || 'None'}
+
+Point out anything that moved earlier or got more valuable.`;
+
+    return await ai.generateCompletion(systemPrompt, userPrompt);
+  } catch (error) {
+    console.error('  ⚠️  Error generating daily summary, using fallback:', describeAIError(error));
+    return `${newTasks.length} new assignments and ${updatedTasks.length} updated assignments since the last update.`;
+  }
+}
+
+// Export the job function
+export default runDailyUpdate;
+
+// If running directly
+runIfMain(import.meta.url, runDailyUpdate);
@@ -0,0 +1,82 @@
+import CanvasClient from '../integrations/canvas.js';
+import { loadCanvasProfiles, DEFAULT_PROFILE } from '../integrations/canvas-profiles.js';
+import NotionClient from '../integrations/notion.js';
+import AIProvider from '../ai/provider.js';
+import { describeAIError } from '../ai/errors.js';
+import { validateConfig } from '../config.js';
+
+/**
+ * Doctor Job
+ * Checks configuration and connectivity to Canvas, Notion and the AI provider
+ * @param {Object} options
+ * @param {string} options.provider - AI provider override
+ * @param {string} options.model - AI model override
+ * @returns {Promise<{ok: boolean, checks: Array<{name, ok, message}>}>}
+ */
+async function runDoctor(options = {}) {
+  console.log('🩺 Running checks...\n');
+
+  const checks = [];
+  const record = (name, ok, message) => {
+    checks.push({ name, ok, message });
+    console.log(`${ok ? '✅' : '❌'} ${name}: ${message}`);
+  };
+
+  // Configuration
+  const { errors, warnings } = validateConfig(process.env, { provider: options.provider });
+  record('Configuration', errors.length === 0, errors.length === 0 ? 'all settings valid' : `${errors.length} problem(s)`);
+  errors.forEach(error => console.log(`     - ${error}`));
+  warnings.forEach(warning => console.log(`     ⚠️  ${warning}`));
+
+  // Canvas token for each profile
+  for (const profile of loadCanvasProfiles()) {
+    const name = profile.name === DEFAULT_PROFILE ? 'Canvas' : `Canvas (${profile.name})`;
+    try {
+      const user = await new CanvasClient(profile).getCurrentUser();
+      record(name, true, `authenticated as ${user.name} (${user.id})`);
+    } catch (error) {
+      const status = error.response?.status;
+      record(name, false, status === 401 ? 'token was rejected (401)' : error.message);
+    }
+  }
+
+  // Notion databases and properties
+  const notion = new NotionClient();
+
+  for (const { name, databaseId, schema } of notion.getDatabaseSchemas()) {
+    const label = `Notion ${name} database`;
+    try {
+      const { title, missing, wrongType, missingOptions, renames } = await notion.checkDatabaseSchema(databaseId, schema);
+      const problems = [
+        ...missing.map(property => `missing property "${property}" (${schema[property].type})`),
+        ...wrongType.map(({ name: property, expected, actual }) => `"${property}" is ${actual}, expected ${expected}`),
+        ...renames.map(({ from, to }) => `"${from}" should be renamed to "${to}"`),
+        ...missingOptions.map(({ name: property, options }) => `"${property}" is missing options: ${options.join(', ')}`)
+      ];
+      record(label, problems.length === 0, problems.length === 0 ? `"${title}" has all properties` : `"${title}" has ${problems.length} problem(s)`);
+      problems.forEach(problem => console.log(`     - ${problem}`));
+      if (problems.length > wrongType.length) {
+        console.log('     Run "node src/index.js migrate" to fix these');
+      }
+    } catch (error) {
+      record(label, false, error.code === 'object_not_found'
+        ? `database ${databaseId} not found or not shared with the integration`
+        : error.message);
+    }
+  }
+
+  // AI provider
+  try {
+    const { provider, model } = await new AIProvider(options).ping();
+    record('AI provider', true, `${provider} (${model}) responded`);
+  } catch (error) {
+    record('AI provider', false, describeAIError(error));
+  }
+
+  const ok = checks.every(check => check.ok);
+  console.log(ok ? '\n✅ All checks passed' : '\n❌ Some checks failed');
+
+  return { ok, checks };
+}
+
+export default runDoctor;
@@ -0,0 +1,166 @@
+import { writeFile } from 'fs/promises';
+import NotionClient from '../integrations/notion.js';
+import { buildCalendar, getEventUid } from '../integrations/ics.js';
+import { scheduleWorkBlocks } from '../planning/scheduler.js';
+
+/**
+ * Export ICS Job
+ * Writes every synced task with a due date to an iCalendar file, with
+ * reminders when the task becomes This Week and Urgent (see
+ * planning/urgency.js) and, optionally, scheduled study blocks. Event UIDs
+ * come from each task's Canvas ID, so re-importing the file updates
+ * events instead of duplicating them.
+ * @param {Object} options
+ * @param {string} options.output - File to write (default ICS_FILE or canvas-planner.ics)
+ * @param {boolean} options.studyBlocks - Include study blocks from the work-block scheduler
+ * @param {string} options.course - Only include matching courses
+ * @returns {Promise<{file: string, tasks: number, studyBlocks: number}>}
+ */
+async function runExportIcs(options = {}) {
+  console.log('📆 Exporting tasks to iCalendar...');
+
+  try {
+    const file = options.output || process.env.ICS_FILE || 'canvas-planner.ics';
+    const { calendar, tasks, studyBlocks } = await buildTaskCalendar(options);
+
+    await writeFile(file, calendar);
+
+    console.log(`\n✅ Wrote ${tasks} tasks${options.studyBlocks ? ` and ${studyBlocks} study blocks` : ''} to ${file}`);
+    return { file, tasks, studyBlocks };
+  } catch (error) {
+    console.error('❌ Error exporting iCalendar file:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Build the iCalendar file of synced tasks (shared with the serve command)
+ * @param {Object} options - `studyBlocks` and `course`, as for runExportIcs
+ * @returns {Promise<{calendar: string, tasks: number, studyBlocks: number}>}
+ */
+export async function buildTaskCalendar(options = {}, notion = new NotionClient()) {
+  console.log('📋 Fetching tasks from Notion...');
+  const needle = options.course?.toLowerCase();
+  const tasks = (await notion.getTasksFromDatabase())
+    .map(page => ({ page, fields: notion.readTaskFields(page) }))
+    .filter(({ fields }) => fields.dueDate && (!needle || (fields.course || '').toLowerCase().includes(needle)));
+
+  const events = tasks.map(({ page, fields }) => taskEvent(notion, page, fields));
+
+  let studyBlocks = [];
+  if (options.studyBlocks) {
+    studyBlocks = buildStudyBlocks(notion, tasks);
+    events.push(...studyBlocks);
+  }
+
+  return {
+    calendar: buildCalendar({ name: 'Canvas Tasks', events }),
+    tasks: tasks.length,
+    studyBlocks: studyBlocks.length
+  };
+}
+
+/**
+ * Check whether a task has nothing left to do
+ */
+function isFinished(notion, page, fields) {
+  return Boolean(fields.done) || notion.toUrgencyInput(page).completed;
+}
+
+/**
+ * Build the event for a task's deadline
+ */
+function taskEvent(notion, page, fields) {
+  const allDay = /^\d{4}-\d{2}-\d{2}$/.test(fields.dueDate);
+  const finished = isFinished(notion, page, fields);
+
+  return {
+    uid: getEventUid(fields.canvasId || page.id),
+    summary: `${finished ? '✅ ' : ''}${fields.name}${fields.course ? ` (${fields.course})` : ''}`,
+    description: [
+      fields.kind && `${fields.kind}${fields.points ? `, ${fields.points} points` : ''}`,
+      fields.gradeImpact !== null && fields.gradeImpact !== undefined && `${fields.gradeImpact}% of the final grade`,
+      fields.urgency && `Urgency: ${fields.urgency}`,
+      fields.aiOverview,
+      fields.canvasUrl
+    ].filter(Boolean).join('\n'),
+    url: fields.canvasUrl,
+    start: allDay ? fields.dueDate : new Date(fields.dueDate),
+    allDay,
+    categories: [fields.course, fields.urgency].filter(Boolean),
+    free: true,
+    updatedAt: page.last_edited_time,
+    alarms: finished ? [] : taskAlarms(notion, page, fields)
+  };
+}
+
+/**
+ * Reminders at the points where a task moves into the This Week and
+ * Urgent tiers, scaled by course and grade weight as the urgency engine
+ * does, plus one at the scheduled start
+ */
+function taskAlarms(notion, page, fields) {
+  const { urgency } = notion;
+  const input = notion.toUrgencyInput(page);
+  const weight = urgency.courseWeight(input.course) * urgency.impactWeight(input.gradeImpact);
+  const name = fields.name;
+
+  const alarms = [
+    { hours: urgency.config.thisWeekDays * weight * 24, description: `${name} is due ${formatDays(urgency.config.thisWeekDays * weight)}` },
+    { hours: urgency.config.urgentDays * weight * 24, description: `${urgency.label('urgent')}: ${name} is due ${formatDays(urgency.config.urgentDays * weight)}` }
+  ];
+  if (fields.startBy) {
+    alarms.push({ at: fields.startBy, description: `Time to start ${name}` });
+  }
+
+  // Reminders that have already gone off would fire straight away on import
+  const due = new Date(fields.dueDate).getTime();
+  return alarms.filter(alarm => (alarm.at ? new Date(alarm.at).getTime() : due - alarm.hours * 60 * 60 * 1000) > Date.now());
+}
+
+/**
+ * Describe a number of days until a deadline
+ */
+function formatDays(days) {
+  return days >= 1 ? `in ${Math.round(days)} day${Math.round(days) === 1 ? '' : 's'}` : `in ${Math.round(days * 24)} hours`;
+}
+
+/**
+ * Schedule study sessions for open tasks and turn them into events
+ */
+function buildStudyBlocks(notion, tasks) {
+  const open = tasks.filter(({ page, fields }) => !isFinished(notion, page, fields) && fields.estimatedHours > 0);
+  const byId = new Map(open.map(task => [task.page.id, task]));
+  const schedule = scheduleWorkBlocks(open.map(({ page, fields }) => ({
+    id: page.id,
+    dueDate: fields.dueDate,
+    hours: fields.estimatedHours
+  })));
+
+  const events = [];
+  for (const [pageId, { sessions }] of schedule) {
+    const { page, fields } = byId.get(pageId);
+    // UIDs follow the day of each session, so rescheduling other days
+    // doesn't move them onto different blocks
+    const perDay = new Map();
+    sessions.forEach((session, index) => {
+      const day = notion.urgency.dayFormatter.format(session.start);
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+
+      events.push({
+        uid: getEventUid(fields.canvasId || page.id, `study-${day}-${perDay.get(day)}`),
+        summary: `📖 ${fields.name}`,
+        description: `Study block ${index + 1} of ${sessions.length} for ${fields.name}${fields.course ? ` (${fields.course})` : ''}`,
+        url: fields.canvasUrl,
+        start: session.start,
+        end: session.end,
+        categories: [fields.course, 'Study'].filter(Boolean),
+        alarms: [{ hours: 0.25, description: `Study block: ${fields.name}` }]
+      });
+    });
+  }
+
+  return events;
+}
+
+export default runExportIcs;
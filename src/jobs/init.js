@@ -0,0 +1,45 @@
+import NotionClient from '../integrations/notion.js';
+
+/**
+ * Init Job
+ * Creates the task, weekly review, daily update and course databases in Notion
+ * with the properties the planner expects
+ * @param {Object} options
+ * @param {string} options.parent - Notion page to create the databases in (overrides NOTION_PARENT_PAGE_ID)
+ * @returns {Promise<{databases: Array<{name, env, databaseId, url}>}>}
+ */
+async function runInit(options = {}) {
+  console.log('🏗️  Creating Notion databases...\n');
+
+  try {
+    const parentPageId = options.parent || process.env.NOTION_PARENT_PAGE_ID;
+    if (!parentPageId) {
+      throw new Error('No parent page given; pass --parent <page id> or set NOTION_PARENT_PAGE_ID');
+    }
+
+    const notion = new NotionClient();
+    const definitions = [
+      { name: 'Tasks', env: 'NOTION_TASK_DATABASE_ID', schema: notion.getTaskSchema() },
+      { name: 'Weekly Reviews', env: 'NOTION_DATABASE_ID', schema: notion.getReviewSchema() },
+      { name: 'Daily Updates', env: 'NOTION_UPDATE_DATABASE_ID', schema: notion.getReviewSchema() },
+      { name: 'Courses', env: 'NOTION_COURSE_DATABASE_ID', schema: notion.getCourseSchema() }
+    ];
+
+    const databases = [];
+    for (const { name, env, schema } of definitions) {
+      const database = await notion.createDatabase(parentPageId, name, schema);
+      databases.push({ name, env, databaseId: database.id, url: database.url });
+      console.log(`✅ Created "${name}" (${Object.keys(schema).length} properties)`);
+    }
+
+    console.log('\nAdd these lines to your .env:');
+    databases.forEach(({ env, databaseId }) => console.log(`  ${env}=${databaseId.replace(/-/g, '')}`));
+
+    return { databases };
+  } catch (error) {
+    console.error('❌ Error creating Notion databases:', error.message);
+    throw error;
+  }
+}
+
+export default runInit;
@@ -0,0 +1,50 @@
+import CanvasAuth from '../integrations/canvas-auth.js';
+import { selectCanvasProfiles, validateCanvasAuth } from '../integrations/canvas-profiles.js';
+import { ConfigError } from '../config.js';
+
+/**
+ * Login Job
+ * Connects Canvas accounts with OAuth instead of personal access tokens
+ * @param {Object} options
+ * @param {string} options.profile - Only log in to these Canvas profiles (comma-separated)
+ * @param {number} options.port - Local port for the OAuth callback
+ * @returns {Promise<{profiles: Array<{name, user}>}>}
+ */
+async function runLogin(options = {}) {
+  console.log('🔐 Connecting Canvas...\n');
+
+  try {
+    // Profiles with a personal token don't need to log in
+    const profiles = selectCanvasProfiles(options.profile)
+      .filter(profile => options.profile || profile.clientId || profile.clientSecret);
+
+    const errors = profiles.flatMap(profile => [
+      ...(profile.baseUrl ? [] : [`Canvas API URL is missing for profile "${profile.name}"`]),
+      ...(profile.clientId || profile.clientSecret ? validateCanvasAuth(profile) : [`Profile "${profile.name}" has no OAuth client ID and secret`])
+    ]);
+    if (profiles.length === 0) {
+      errors.push('No Canvas profile is set up for OAuth; set CANVAS_CLIENT_ID and CANVAS_CLIENT_SECRET');
+    }
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+
+    const results = [];
+    for (const profile of profiles) {
+      if (profiles.length > 1) {
+        console.log(`🏫 Canvas profile: ${profile.name}`);
+      }
+
+      const user = await new CanvasAuth(profile).login({ port: options.port });
+      results.push({ name: profile.name, user });
+      console.log(`✅ Connected${user?.name ? ` as ${user.name}` : ''}\n`);
+    }
+
+    return { profiles: results };
+  } catch (error) {
+    console.error('❌ Error connecting Canvas:', error.message);
+    throw error;
+  }
+}
+
+export default runLogin;
@@ -0,0 +1,46 @@
+import NotionClient from '../integrations/notion.js';
+
+/**
+ * Migrate Job
+ * Renames, adds and extends properties of the configured Notion databases
+ * so they match the schema the planner expects
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report the changes without applying them
+ * @returns {Promise<{databases: Array<Object>}>} One migrateDatabase report per database
+ */
+async function runMigrate(options = {}) {
+  const { dryRun = false } = options;
+  console.log(dryRun ? '🔍 Checking Notion databases (dry run)...\n' : '🛠️  Migrating Notion databases...\n');
+
+  try {
+    const notion = new NotionClient();
+    const databases = [];
+
+    for (const { name, databaseId, schema } of notion.getDatabaseSchemas()) {
+      const report = await notion.migrateDatabase(databaseId, schema, { dryRun });
+      databases.push({ name, databaseId, ...report });
+
+      const changes = [
+        ...report.renames.map(({ from, to }) => `rename "${from}" → "${to}"`),
+        ...report.missing.map(property => `add "${property}" (${schema[property].type})`),
+        ...report.missingOptions.map(({ name: property, options }) => `add options to "${property}": ${options.join(', ')}`)
+      ];
+
+      console.log(`📂 ${report.title} (${name})`);
+      if (changes.length === 0) {
+        console.log('   Up to date');
+      }
+      changes.forEach(change => console.log(`   ${dryRun ? 'Would' : '✅'} ${change}`));
+      report.wrongType.forEach(({ name: property, expected, actual }) =>
+        console.log(`   ⚠️  "${property}" is ${actual}, expected ${expected}; change it in Notion`)
+      );
+    }
+
+    return { dryRun, databases };
+  } catch (error) {
+    console.error('❌ Error migrating Notion databases:', error.message);
+    throw error;
+  }
+}
+
+export default runMigrate;
@@ -0,0 +1,87 @@
+import http from 'http';
+import NotionClient from '../integrations/notion.js';
+import { buildTaskCalendar } from './export-ics.js';
+
+// How long a built calendar is served before Notion is read again
+const CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Serve Job
+ * Serves the task calendar (see export-ics.js) as a feed calendar apps can
+ * subscribe to, at http://localhost:<port>/calendar.ics, until stopped.
+ * Listens on ICS_HOST (default localhost); with ICS_FEED_TOKEN set, the
+ * feed is only served to URLs ending in ?token=<ICS_FEED_TOKEN>.
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (default ICS_PORT or 8787)
+ * @param {boolean} options.studyBlocks - Include study blocks
+ * @param {string} options.course - Only include matching courses
+ * @returns {Promise<{url: string, requests: number}>} Once the server stops
+ */
+async function runServe(options = {}) {
+  const port = options.port || Number(process.env.ICS_PORT || 8787);
+  const host = process.env.ICS_HOST || 'localhost';
+  const token = process.env.ICS_FEED_TOKEN;
+  const notion = new NotionClient();
+  let cached = null;
+  let requests = 0;
+
+  const getCalendar = async () => {
+    if (!cached || Date.now() - cached.builtAt > CACHE_MS) {
+      cached = { ...await buildTaskCalendar(options, notion), builtAt: Date.now() };
+    }
+    return cached.calendar;
+  };
+
+  const server = http.createServer(async (request, response) => {
+    let url;
+    try {
+      // Only the path and query matter, so the base is fixed (ICS_HOST may be an IPv6 address)
+      url = new URL(request.url, 'http://localhost');
+    } catch {
+      response.writeHead(400).end();
+      return;
+    }
+
+    if (url.pathname !== '/calendar.ics' || (token && url.searchParams.get('token') !== token)) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    requests++;
+    try {
+      const calendar = await getCalendar();
+      response.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8' });
+      response.end(calendar);
+    } catch (error) {
+      console.error('Error building calendar feed:', error.message);
+      response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Could not read tasks from Notion');
+    }
+  });
+
+  const feedUrl = `http://${host.includes(':') ? `[${host}]` : host}:${port}/calendar.ics${token ? `?token=${token}` : ''}`;
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+  } catch (error) {
+    console.error('❌ Error starting calendar feed:', error.message);
+    throw error;
+  }
+
+  console.log(`📡 Serving the task calendar at ${feedUrl}`);
+  console.log('   Subscribe to it from your calendar app. Press Ctrl+C to stop.');
+
+  // Run until interrupted, then close cleanly
+  await new Promise(resolve => {
+    const stop = () => server.close(resolve);
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+
+  console.log(`\n👋 Calendar feed stopped after ${requests} requests`);
+  return { url: feedUrl, requests };
+}
+
+export default runServe;
@@ -1,96 +1,295 @@
 import CanvasClient from '../integrations/canvas.js';
+import CanvasAccounts from '../integrations/canvas-accounts.js';
 import NotionClient from '../integrations/notion.js';
 import AIProvider from '../ai/provider.js';
+import { describeAIError } from '../ai/errors.js';
+import { getFieldOwners, getOwnedChanges, pickSyncedFields } from '../sync/field-ownership.js';
+import SyncStateStore from '../sync/state-store.js';
+import { createSyncPlan } from '../sync/plan-report.js';
+import { findRemovedTasks, loadRemovalConfig } from '../sync/removed-tasks.js';
+import { isTwoWayEnabled, resolveDone } from '../sync/two-way.js';
+import ChangeLog from '../sync/change-log.js';
+import { KIND_LABELS, SUBMITTABLE_KINDS, getItemAttachments, getCanvasId, getPlannableKey, getUrlOrigin } from '../integrations/canvas-items.js';
+import { htmlToText } from '../integrations/html-blocks.js';
+import { formatNeeded } from '../planning/grades.js';
+import { REMOVED_STATUS } from '../integrations/notion-schema.js';
+import { estimateEffort } from '../planning/effort.js';
+import { scheduleWorkBlocks } from '../planning/scheduler.js';
+import UrgencyEngine from '../planning/urgency.js';
+import { runIfMain } from '../cli.js';
 
 /**
  * Task Sync Job
  * Runs daily to sync all Canvas tasks to Notion task database
- * and updates urgency levels based on due dates
+ * and updates urgency levels based on due dates. Each task page gets the
+ * item's description, rubric, attachments and an AI checklist above the
+ * student's notes. Tasks whose Canvas item
+ * is gone are handled by REMOVED_TASK_POLICY (see sync/removed-tasks.js).
+ * With TWO_WAY_SYNC, Done and Notion-only tasks are pushed back to the
+ * Canvas planner first (see sync/two-way.js). Every change is recorded in
+ * the sync log (see sync/change-log.js). Tasks are weighted by how much of
+ * the final grade they're worth, and with NOTION_COURSE_DATABASE_ID each
+ * course's grade and projections are kept in a Courses database.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Plan changes without writing to Notion or calling the AI
+ * @param {string} options.course - Only sync matching courses
+ * @param {string} options.profile - Only use these Canvas profiles (comma-separated)
+ * @param {Date} options.since - Only sync assignments due on or after this date
+ * @param {Date} options.until - Only sync assignments due on or before this date
+ * @param {string} options.provider - AI provider override
+ * @param {string} options.model - AI model override
+ * @returns {Promise<Object>} The planned changes when dryRun is set, otherwise a summary
  */
-async function runTaskSync() {
-  console.log('🔄 Starting Task Sync...');
+async function runTaskSync(options = {}) {
+  const { dryRun = false } = options;
+  console.log(dryRun ? '🔄 Starting Task Sync (dry run)...' : '🔄 Starting Task Sync...');
   
   try {
     // Initialize clients
     const canvas = new CanvasClient();
+    const accounts = new CanvasAccounts(options.profile);
     const notion = new NotionClient();
-    const ai = new AIProvider();
+    const ai = new AIProvider(options);
+    const fieldOwners = getFieldOwners();
+    const state = await new SyncStateStore().load();
+    const changeLog = new ChangeLog();
+    const plan = dryRun ? createSyncPlan() : null;
 
-    // Fetch all assignments from Canvas (all upcoming and current)
-    console.log('📚 Fetching all assignments from Canvas...');
-    const assignments = await canvas.getAllAssignments();
+    // Fetch assignments, planner items, calendar events and to-dos from Canvas
+    console.log('📚 Fetching all items from Canvas...');
+    const assignments = await accounts.getAllItems(options);
     
-    console.log(`Found ${assignments.length} total assignments`);
+    console.log(`Found ${assignments.length} total items`);
 
-    // Get existing tasks from Notion
+    // Course grades, for how much each task can move the final grade
+    console.log('🎓 Fetching course grades from Canvas...');
+    const courses = await accounts.getCourseGrades(options);
+    accounts.applyGradeImpacts(assignments, courses);
+
+    // Get existing tasks from Notion, keyed by Canvas ID
     console.log('📋 Fetching existing tasks from Notion...');
-    const existingTasks = await notion.getTasksFromDatabase();
-    
-    // Create a map of existing tasks by Canvas assignment ID
-    const existingTasksMap = new Map();
-    existingTasks.forEach(task => {
-      const canvasUrl = task.properties?.['Canvas URL']?.url;
-      if (canvasUrl) {
-        // Extract assignment ID from URL
-        const match = canvasUrl.match(/assignments\/(\d+)/);
-        if (match) {
-          existingTasksMap.set(match[1], task);
+    if (!dryRun) {
+      await notion.ensureTaskProperties();
+    }
+    const existingTasksMap = await notion.getTasksByCanvasId();
+
+    console.log(`Found ${existingTasksMap.size} existing tasks in Notion`);
+
+    if (isTwoWayEnabled()) {
+      try {
+        await syncToCanvas({ canvas, accounts, notion, state, plan, changeLog, assignments, existingTasksMap });
+      } finally {
+        if (!dryRun) {
+          await state.save();
+          await changeLog.save();
         }
       }
-    });
-
-    console.log(`Found ${existingTasks.length} existing tasks in Notion`);
+    }
 
-    // Process each assignment
-    let newCount = 0;
-    let updatedCount = 0;
+    // First pass: submission state and AI analysis for each assignment
+    const entries = [];
 
     for (let i = 0; i < assignments.length; i++) {
       const assignment = assignments[i];
-      console.log(`\nProcessing (${i + 1}/${assignments.length}): ${assignment.name}`);
+      console.log(`\nAnalyzing (${i + 1}/${assignments.length}): ${assignment.name}`);
+
+      const submission = canvas.getSubmissionState(assignment);
 
-      // Calculate urgency
-      const urgency = calculateUrgency(assignment.due_at);
+      // Pages without a Canvas ID are matched by URL and get one on update;
+      // fall back to the page recorded in local state (e.g. if its Canvas ID was edited)
+      let existingTask = existingTasksMap.get(assignment.key) ?? existingTasksMap.get(assignment.legacyKey);
+      const knownPageId = (state.get(assignment.key) ?? state.get(assignment.legacyKey))?.notionPageId;
+      if (!existingTask && knownPageId) {
+        existingTask = await notion.getTask(knownPageId);
+      }
 
-      // Generate AI overview for new tasks or tasks that need update
-      const existingTask = existingTasksMap.get(String(assignment.id));
-      let aiOverview;
+      // Generate AI overview for new tasks, tasks that need update and changed descriptions
+      const existingFields = existingTask && notion.readTaskFields(existingTask);
+      const needsOverview = !existingTask || shouldRegenerateOverview(existingFields) ||
+        existingFields.descriptionHash !== canvas.getDescriptionHash(assignment);
+      let overview;
+      let checklist;
 
-      if (!existingTask || shouldRegenerateOverview(existingTask)) {
+      if (needsOverview && dryRun) {
+        // Don't spend tokens on a dry run; effort falls back to the heuristic
+        plan.overviews.push(assignment.name);
+        overview = {};
+      } else if (needsOverview) {
         console.log('  🤖 Generating AI overview...');
-        aiOverview = await generateTaskOverview(ai, assignment);
+        ({ checklist, ...overview } = await generateTaskOverview(ai, assignment));
       } else {
         // Use existing overview
-        aiOverview = existingTask.properties?.['AI Overview']?.rich_text?.[0]?.text?.content || '';
+        const { aiOverview, aiEstimatedHours, deliverables, difficulty } = existingFields;
+        overview = { aiOverview, aiEstimatedHours, deliverables, difficulty };
       }
 
-      // Prepare task data
-      const taskData = {
-        name: assignment.name,
-        course: assignment.course_name || assignment.course_code || 'Unknown Course',
-        aiOverview: aiOverview,
-        urgency: urgency,
-        canvasUrl: assignment.html_url,
-        dueDate: assignment.due_at,
-        done: false,
-        assignmentId: String(assignment.id)
+      // Content for the page body, refreshed whenever it changes in Canvas
+      const body = {
+        origin: getUrlOrigin(assignment.html_url),
+        description: assignment.description || '',
+        rubric: assignment.rubric || [],
+        attachments: getItemAttachments(assignment)
       };
 
-      // Create or update task in Notion
-      if (existingTask) {
-        console.log('  📝 Updating existing task...');
-        await notion.updateTaskInDatabase(existingTask.id, taskData);
-        updatedCount++;
-      } else {
-        console.log('  ✨ Creating new task...');
-        await notion.createTaskInDatabase(taskData);
-        newCount++;
+      const estimatedHours = estimateEffort(assignment, overview.aiEstimatedHours);
+      entries.push({ assignment, submission, existingTask, overview, checklist, body, estimatedHours });
+    }
+
+    // Schedule work sessions backwards from each deadline
+    console.log('\n🗓️  Scheduling work blocks...');
+    const schedule = scheduleWorkBlocks(entries
+      .filter(entry => !entry.submission.complete)
+      .map(entry => ({
+        id: entry.assignment.key,
+        dueDate: entry.assignment.due_at,
+        hours: entry.estimatedHours
+      })));
+
+    // Classify urgency across all tasks so overloaded weeks are raised
+    const urgencyEngine = new UrgencyEngine();
+    const tiers = urgencyEngine.classifyAll(entries.map(entry => ({
+      dueDate: entry.assignment.due_at,
+      startBy: schedule.get(entry.assignment.key)?.startBy,
+      course: entry.assignment.course_name || entry.assignment.course_code,
+      completed: entry.submission.complete,
+      hours: entry.estimatedHours,
+      gradeImpact: entry.assignment.grade_impact
+    })));
+
+    // Second pass: write each task to Notion
+    let newCount = 0;
+    let updatedCount = 0;
+    let unchangedCount = 0;
+    let removedCount = 0;
+
+    try {
+      for (let i = 0; i < entries.length; i++) {
+        const { assignment, submission, existingTask, overview, checklist, body, estimatedHours } = entries[i];
+        console.log(`\nProcessing (${i + 1}/${entries.length}): ${assignment.name}`);
+
+        const assignmentId = assignment.key;
+        const startBy = schedule.get(assignmentId)?.startBy;
+
+        // Prepare task data
+        const taskData = {
+          name: assignment.name,
+          kind: KIND_LABELS[assignment.kind],
+          course: assignment.course_name || assignment.course_code || 'Unknown Course',
+          ...overview,
+          estimatedHours: estimatedHours,
+          startBy: startBy?.toISOString(),
+          urgency: urgencyEngine.label(tiers[i]),
+          canvasUrl: assignment.html_url,
+          instance: assignment.canvas_instance,
+          canvasId: assignmentId,
+          dueDate: assignment.due_at,
+          done: submission.complete,
+          points: assignment.points_possible,
+          descriptionHash: canvas.getDescriptionHash(assignment),
+          submissionStatus: submission.status,
+          score: submission.score,
+          gradeImpact: assignment.grade_impact === undefined ? undefined : Math.round(assignment.grade_impact * 10) / 10
+        };
+
+        const bodyHash = SyncStateStore.hashContent(body);
+        const syncedHash = SyncStateStore.hashContent({ ...pickSyncedFields(taskData, fieldOwners), bodyHash });
+
+        // Create or update task in Notion
+        if (existingTask && state.isUnchanged(assignmentId, existingTask.id, assignment.updated_at, syncedHash)) {
+          console.log('  ✓ Unchanged since last sync');
+          unchangedCount++;
+          continue;
+        }
+
+        if (existingTask) {
+          // Only write fields sync owns, and only if they changed
+          const currentFields = notion.readTaskFields(existingTask);
+          const changes = getOwnedChanges(taskData, currentFields, fieldOwners);
+
+          // Turning work in always checks Done, even though Done is user-owned
+          if (submission.complete && !currentFields.done) {
+            changes.done = true;
+          }
+
+          // Rewrite the body when Canvas changed it or there is a new checklist
+          const hasChanges = Object.keys(changes).length > 0;
+          const refreshBody = state.get(assignmentId)?.bodyHash !== bodyHash || Boolean(checklist);
+
+          if (!hasChanges && !refreshBody) {
+            console.log('  ✓ No changes');
+            unchangedCount++;
+          } else if (dryRun) {
+            if (hasChanges) {
+              plan.update.push({
+                pageId: existingTask.id,
+                name: currentFields.name || assignment.name,
+                changes: Object.fromEntries(
+                  Object.entries(changes).map(([field, to]) => [field, { from: currentFields[field], to }])
+                )
+              });
+            }
+            if (refreshBody) {
+              plan.bodies.push(currentFields.name || assignment.name);
+            }
+            updatedCount++;
+            continue;
+          } else {
+            if (hasChanges) {
+              console.log(`  📝 Updating ${Object.keys(changes).join(', ')}...`);
+              await notion.updateTaskInDatabase(existingTask.id, changes);
+            }
+            if (refreshBody) {
+              console.log('  📄 Refreshing page body...');
+              await notion.updateTaskBody(existingTask.id, { ...body, checklist });
+            }
+            changeLog.record('notion', 'update', {
+              task: assignment.name,
+              key: assignmentId,
+              fields: Object.keys(changes),
+              ...(refreshBody && { body: true })
+            });
+            updatedCount++;
+          }
+
+          state.set(assignmentId, { updatedAt: assignment.updated_at, hash: syncedHash, bodyHash, notionPageId: existingTask.id });
+          state.delete(assignment.legacyKey);
+        } else if (dryRun) {
+          plan.create.push({
+            name: taskData.name,
+            course: taskData.course,
+            dueDate: taskData.dueDate,
+            urgency: taskData.urgency
+          });
+          newCount++;
+        } else {
+          console.log('  ✨ Creating new task...');
+          const page = await notion.createTaskInDatabase(taskData, accounts.getNotionDatabaseId(assignment), { ...body, checklist });
+          state.set(assignmentId, { updatedAt: assignment.updated_at, hash: syncedHash, bodyHash, notionPageId: page.id });
+          changeLog.record('notion', 'create', { task: assignment.name, key: assignmentId });
+          newCount++;
+        }
       }
 
-      // Small delay to avoid rate limits
-      if (i < assignments.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 300));
+      removedCount = await handleRemovedTasks({ canvas, accounts, notion, state, plan, changeLog, options, entries, courses, existingTasksMap });
+
+      if (notion.courseDatabaseId) {
+        await syncCourses({ notion, plan, changeLog, courses });
       }
+    } finally {
+      // Persist progress even if a write fails partway through
+      if (!dryRun) {
+        await state.save();
+        await changeLog.save();
+      }
+    }
+
+    if (dryRun) {
+      // Based on the current Notion state, before this sync's own changes
+      console.log('\n⏰ Checking urgency levels for all tasks...');
+      plan.urgency = await notion.planUrgencyUpdates();
+
+      console.log('\n✅ Dry run completed');
+      return plan;
     }
 
     // Update urgency for all tasks in Notion based on current dates
@@ -98,7 +297,9 @@ async function runTaskSync() {
     await notion.updateAllTasksUrgency();
 
     console.log('\n✅ Task sync completed successfully!');
-    console.log(`📊 Summary: ${newCount} new tasks, ${updatedCount} updated tasks`);
+    console.log(`📊 Summary: ${newCount} new tasks, ${updatedCount} updated tasks, ${unchangedCount} unchanged, ${removedCount} removed`);
+
+    return { created: newCount, updated: updatedCount, unchanged: unchangedCount, removed: removedCount };
 
   } catch (error) {
     console.error('❌ Error running task sync:', error);
@@ -107,72 +308,270 @@ async function runTaskSync() {
 }
 
 /**
- * Calculate urgency level based on due date
+ * Archive, flag or move tasks whose Canvas item hasn't been returned for
+ * the grace period
+ * @returns {Promise<number>} How many tasks were handled
  */
-function calculateUrgency(dueDate) {
-  if (!dueDate) return 'Upcoming';
-
-  const now = new Date();
-  const due = new Date(dueDate);
-  const daysUntilDue = (due - now) / (1000 * 60 * 60 * 24);
-
-  if (daysUntilDue < 0) {
-    return 'Overdue';
-  } else if (daysUntilDue <= 2) {
-    return 'Urgent';
-  } else if (daysUntilDue <= 7) {
-    return 'This Week';
-  } else {
-    return 'Upcoming';
+async function handleRemovedTasks({ canvas, accounts, notion, state, plan, changeLog, options, entries, courses, existingTasksMap }) {
+  const { policy, graceHours, archiveDatabaseId } = loadRemovalConfig();
+  if (policy === 'ignore') return 0;
+
+  // A filtered run doesn't see every item, so nothing can be called removed
+  if (options.course || options.since || options.until || options.profile) {
+    console.log('\n⏭️  Skipping removed-task check (sync was filtered)');
+    return 0;
   }
+
+  console.log('\n🔍 Checking for tasks removed from Canvas...');
+  const fetchedKeys = new Set(entries.flatMap(({ assignment }) => [assignment.key, assignment.legacyKey]));
+  const removed = findRemovedTasks(existingTasksMap, fetchedKeys, {
+    state,
+    syncedPageIds: new Set(entries.filter(entry => entry.existingTask).map(entry => entry.existingTask.id)),
+    readFields: task => notion.readTaskFields(task),
+    window: canvas.getItemWindow(),
+    scope: accounts.getFetchScope(courses, options),
+    graceHours
+  }).filter(({ fields }) => policy !== 'flag' || fields.submissionStatus !== REMOVED_STATUS);
+
+  for (const { key, task, fields, missingSince } of removed) {
+    if (plan) {
+      plan.removed.push({ pageId: task.id, name: fields.name, action: policy, missingSince });
+      continue;
+    }
+
+    console.log(`  🗑️  ${fields.name}: missing since ${missingSince.toLocaleDateString()}, ${policy === 'flag' ? 'flagging' : policy === 'move' ? 'moving' : 'archiving'}...`);
+    if (policy === 'flag') {
+      await notion.updateTaskInDatabase(task.id, { submissionStatus: REMOVED_STATUS });
+      // Drop the synced hash so the task is rewritten if the item comes back
+      state.set(key, { notionPageId: task.id, missingSince: missingSince.toISOString() });
+    } else if (policy === 'move') {
+      await notion.ensureTaskProperties([archiveDatabaseId]);
+      await notion.moveTaskToDatabase(task, archiveDatabaseId);
+      state.delete(key);
+    } else {
+      await notion.archiveTask(task.id);
+      state.delete(key);
+    }
+    changeLog.record('notion', policy, { task: fields.name, key });
+  }
+
+  return removed.length;
 }
 
 /**
- * Generate AI overview for a task
+ * Write each course's current grade and projections to the course database
+ */
+async function syncCourses({ notion, plan, changeLog, courses }) {
+  console.log('\n🎓 Updating course grades...');
+  if (!plan) {
+    await notion.ensureCourseProperties();
+  }
+  const existingCourses = await notion.getCoursesByCanvasId();
+
+  for (const course of courses) {
+    const { summary } = course;
+    const courseData = {
+      name: course.name,
+      instance: course.instance,
+      canvasId: course.key,
+      currentGrade: summary.currentGrade,
+      letterGrade: summary.letter ?? '—',
+      weightRemaining: summary.weightRemaining,
+      minimumGrade: summary.minimumGrade,
+      maximumGrade: summary.maximumGrade,
+      // Letters already secured or out of reach are left out
+      neededOnRemaining: formatNeeded(summary.needed) || '—',
+      neededOnFinal: summary.final ? `${summary.final.name} (${summary.final.impact}%): ${formatNeeded(summary.final.needed) || '—'}` : '—'
+    };
+
+    const page = existingCourses.get(course.key);
+    const currentFields = page ? notion.readCourseFields(page) : {};
+    const changes = Object.fromEntries(Object.entries(courseData).filter(([field, value]) => (value ?? '') !== (currentFields[field] ?? '')));
+    if (Object.keys(changes).length === 0) continue;
+
+    if (plan) {
+      plan.courses.push({
+        name: course.name,
+        changes: Object.fromEntries(Object.entries(changes).map(([field, to]) => [field, { from: currentFields[field], to }]))
+      });
+      continue;
+    }
+
+    console.log(`  📊 ${course.name}: ${summary.currentGrade ?? '–'}% (${summary.letter ?? 'no grade yet'})`);
+    await notion.saveCourse(page ? changes : courseData, page?.id);
+    changeLog.record('notion', page ? 'update' : 'create', { course: course.name, key: course.key });
+  }
+}
+
+/**
+ * Push Notion edits back to the Canvas planner: copy Done whichever way
+ * it last changed, and turn tasks created in Notion into planner notes
+ */
+async function syncToCanvas({ canvas, accounts, notion, state, plan, changeLog, assignments, existingTasksMap }) {
+  console.log('\n🔁 Syncing Notion changes back to Canvas...');
+
+  const overridesByProfile = new Map();
+  for (const client of accounts.clients) {
+    overridesByProfile.set(client.profile.name, await client.getPlannerOverrides());
+  }
+
+  for (const item of assignments) {
+    const task = existingTasksMap.get(item.key) ?? existingTasksMap.get(item.legacyKey);
+    if (!task || !item.plannable_type) continue;
+
+    // Turned-in work is done in both places already
+    const submittable = SUBMITTABLE_KINDS.includes(item.kind ?? 'assignment');
+    if (submittable && canvas.getSubmissionState(item).complete) continue;
+
+    const override = overridesByProfile.get(item.canvas_profile)?.get(getPlannableKey(item.plannable_type, item.plannable_id));
+    const fields = notion.readTaskFields(task);
+    const notionDone = Boolean(fields.done);
+    const canvasDone = override ? Boolean(override.marked_complete) : !submittable && Boolean(item.completed);
+    const synced = state.getPlannerState(item.key);
+    const lastDone = synced?.done;
+
+    const winner = resolveDone({
+      notionDone,
+      canvasDone,
+      lastDone,
+      syncedAt: synced?.syncedAt,
+      canvasEditedAt: override?.updated_at
+    });
+    const done = winner === 'canvas' ? canvasDone : notionDone;
+
+    if (winner === 'notion') {
+      const action = notionDone ? 'complete' : 'reopen';
+      if (plan) {
+        plan.canvas.push({ name: fields.name || item.name, action });
+      } else {
+        console.log(`  ☑️  ${fields.name || item.name}: marking ${notionDone ? 'complete' : 'incomplete'} in Canvas...`);
+        await accounts.getClient(item).setPlannerOverride(item, notionDone, override);
+        changeLog.record('canvas', action, { task: fields.name || item.name, key: item.key });
+      }
+      // Keep the Notion task as it is in the pass below
+      if (!submittable) item.completed = notionDone;
+    } else if (winner === 'canvas') {
+      if (plan) {
+        plan.update.push({ pageId: task.id, name: fields.name || item.name, changes: { done: { from: notionDone, to: canvasDone } } });
+      } else {
+        console.log(`  ☑️  ${fields.name || item.name}: ${canvasDone ? 'checking' : 'unchecking'} Done from Canvas...`);
+        await notion.updateTaskInDatabase(task.id, { done: canvasDone });
+        changeLog.record('notion', canvasDone ? 'complete' : 'reopen', { task: fields.name || item.name, key: item.key });
+      }
+    }
+
+    if (!plan && lastDone !== done) {
+      state.setPlannerState(item.key, { done });
+    }
+  }
+
+  // Each task database belongs to the first profile that writes to it
+  const databases = new Map();
+  for (const client of accounts.clients) {
+    const databaseId = client.profile.notionDatabaseId || notion.taskDatabaseId;
+    if (!databases.has(databaseId)) databases.set(databaseId, client);
+  }
+
+  for (const [databaseId, client] of databases) {
+    for (const task of await notion.getUnlinkedTasks(databaseId)) {
+      const fields = notion.readTaskFields(task);
+      if (!fields.name) continue;
+
+      if (plan) {
+        plan.canvas.push({ name: fields.name, action: 'note' });
+        continue;
+      }
+
+      console.log(`  📌 ${fields.name}: creating Canvas planner note...`);
+      const note = await client.createPlannerNote({
+        title: fields.name,
+        todoDate: fields.dueDate || new Date().toISOString().split('T')[0]
+      });
+
+      // Link the task to its note so it syncs like any other Canvas item
+      const { origin, host } = new URL(client.baseUrl);
+      const key = getCanvasId(host, null, `note-${note.id}`);
+      await notion.updateTaskInDatabase(task.id, {
+        canvasUrl: `${origin}/api/v1/planner_notes/${note.id}`,
+        canvasId: key,
+        instance: host,
+        kind: KIND_LABELS.note
+      });
+      state.setPlannerState(key, { done: false });
+      changeLog.record('canvas', 'note', { task: fields.name, key });
+    }
+  }
+}
+
+/**
+ * Shape of the structured overview requested from the AI for each task
+ */
+const TASK_OVERVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    estimatedHours: { type: 'number', minimum: 0 },
+    deliverables: { type: 'array', items: { type: 'string' } },
+    difficulty: { type: 'string', enum: ['Easy', 'Medium', 'Hard'] },
+    checklist: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['summary', 'estimatedHours', 'deliverables', 'difficulty', 'checklist'],
+  additionalProperties: false
+};
+
+/**
+ * Generate AI overview for a task, mapped to task fields
  */
 async function generateTaskOverview(ai, assignment) {
   try {
-    // Clean up description (remove HTML tags)
-    const description = assignment.description 
-      ? assignment.description.replace(/<[^>]*>/g, '').substring(0, 500)
+    // Clean up description (HTML to text)
+    const description = assignment.description
+      ? htmlToText(assignment.description).substring(0, 2000)
       : 'No description provided';
 
     const systemPrompt = `You are a helpful academic assistant. Create brief, actionable overviews of assignments for students.`;
     
-    const userPrompt = `Create a concise overview (2-3 sentences) for this assignment:
+    const userPrompt = `Analyze this assignment:
 
 Assignment: ${assignment.name}
+Type: ${KIND_LABELS[assignment.kind] || 'Assignment'}
 Course: ${assignment.course_name || 'Unknown'}
 Due Date: ${assignment.due_at ? new Date(assignment.due_at).toLocaleDateString() : 'Not specified'}
 Points: ${assignment.points_possible || 'N/A'}
+Grade impact: ${assignment.grade_impact !== undefined ? `${Math.round(assignment.grade_impact * 10) / 10}% of the final grade` : 'Unknown'}
 Description: ${description}
 
-Focus on: what the task is, key requirements, and what the student should prioritize.`;
+Return:
+- summary: a concise overview (2-3 sentences) covering what the task is, key requirements, and what the student should prioritize, given how much it counts towards the final grade
+- estimatedHours: a realistic estimate of hours needed to complete it
+- deliverables: the things the student has to turn in
+- difficulty: Easy, Medium or Hard
+- checklist: short, concrete steps to complete it, in order`;
 
-    const overview = await ai.generateCompletion(systemPrompt, userPrompt);
-    return overview;
+    const overview = await ai.generateStructured(systemPrompt, userPrompt, TASK_OVERVIEW_SCHEMA);
+    return {
+      aiOverview: overview.summary,
+      aiEstimatedHours: overview.estimatedHours,
+      deliverables: overview.deliverables.join('\n'),
+      difficulty: overview.difficulty,
+      checklist: overview.checklist
+    };
   } catch (error) {
-    console.error('  ⚠️  Error generating AI overview, using fallback:', error.message);
-    return `Complete ${assignment.name} for ${assignment.course_name || 'course'}.`;
+    console.error('  ⚠️  Error generating AI overview, using fallback:', describeAIError(error));
+    return { aiOverview: `Complete ${assignment.name} for ${assignment.course_name || 'course'}.` };
   }
 }
 
 /**
  * Check if we should regenerate the AI overview
  */
-function shouldRegenerateOverview(existingTask) {
+function shouldRegenerateOverview(fields) {
   // Regenerate if there's no overview or it's very short
-  const overview = existingTask.properties?.['AI Overview']?.rich_text?.[0]?.text?.content || '';
-  return overview.length < 20;
+  return (fields.aiOverview || '').length < 20;
 }
 
 // Export the job function
 export default runTaskSync;
 
 // If running directly
-if (import.meta.url === `file:///${process.argv[1].replace(/\\/g, '/')}`) {
-  import('dotenv').then(dotenv => {
-    dotenv.default.config();
-    runTaskSync();
-  });
-}
+runIfMain(import.meta.url, runTaskSync);
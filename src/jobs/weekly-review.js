@@ -0,0 +1,154 @@
+import CanvasClient from '../integrations/canvas.js';
+import CanvasAccounts from '../integrations/canvas-accounts.js';
+import NotionClient from '../integrations/notion.js';
+import AIProvider from '../ai/provider.js';
+import UrgencyEngine from '../planning/urgency.js';
+import { describeAIError } from '../ai/errors.js';
+import { runIfMain } from '../cli.js';
+
+/**
+ * Weekly Review Job
+ * Runs once a week to summarize upcoming and overdue Canvas work and publish
+ * a weekly review page with an AI-generated day-by-day plan that
+ * puts work worth more of the final grade first
+ * @param {Object} options
+ * @param {number} options.daysAhead - How many days ahead to include (default 7)
+ * @param {string} options.course - Only include matching courses
+ * @param {string} options.profile - Only use these Canvas profiles (comma-separated)
+ * @param {string} options.provider - AI provider override
+ * @param {string} options.model - AI model override
+ */
+async function runWeeklyReview(options = {}) {
+  const { daysAhead = 7 } = options;
+  console.log('📅 Starting Weekly Review...');
+
+  try {
+    // Initialize clients
+    const canvas = new CanvasClient();
+    const accounts = new CanvasAccounts(options.profile);
+    const notion = new NotionClient();
+    const ai = new AIProvider(options);
+
+    const week = getWeekLabel();
+
+    // Don't publish the same week twice
+    console.log(`🔍 Checking for an existing review for week of ${week}...`);
+    const existingReview = await notion.findWeeklyReview(week);
+    if (existingReview) {
+      console.log(`⏭️  Weekly review for ${week} already exists, skipping`);
+      return { week, skipped: true, pageId: existingReview.id };
+    }
+
+    // Fetch upcoming and overdue assignments from Canvas
+    console.log('📚 Fetching upcoming items from Canvas...');
+    const assignments = await accounts.getUpcomingItems(daysAhead, { ...options, overdue: true });
+    console.log(`Found ${assignments.length} items overdue, due in the next ${daysAhead} days or unscheduled`);
+
+    // Weigh items by how much they can move the final grade
+    console.log('🎓 Fetching course grades from Canvas...');
+    accounts.applyGradeImpacts(assignments, await accounts.getCourseGrades(options));
+
+    const categories = canvas.categorizeByUrgency(assignments);
+    const formatted = canvas.formatAssignmentsForAI(assignments);
+
+    console.log('🤖 Generating weekly summary...');
+    const summary = await generateWeeklySummary(ai, formatted, categories);
+
+    console.log('🤖 Generating day-by-day plan...');
+    const plan = await generateWeeklyPlan(ai, formatted, week);
+
+    console.log('📝 Creating weekly review in Notion...');
+    const response = await notion.createWeeklyReview({
+      week,
+      summary,
+      plan,
+      categories
+    });
+
+    console.log('\n✅ Weekly review completed successfully!');
+    console.log(`📊 Summary: ${categories.overdue.length} overdue, ${categories.urgent.length} urgent, ${categories.thisWeek.length} this week`);
+
+    return {
+      week,
+      skipped: false,
+      pageId: response.id,
+      counts: Object.fromEntries(Object.entries(categories).map(([tier, items]) => [tier, items.length]))
+    };
+  } catch (error) {
+    console.error('❌ Error running weekly review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a label for the current week (the Monday it starts on, YYYY-MM-DD,
+ * in the configured TIMEZONE)
+ */
+function getWeekLabel(date = new Date()) {
+  const day = new UrgencyEngine().dayNumber(date);
+  // Day 0 (1970-01-01) was a Thursday
+  const monday = day - ((day + 3) % 7);
+  return new Date(monday * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Generate a short AI summary of the week's workload
+ */
+async function generateWeeklySummary(ai, assignments, categories) {
+  if (assignments.length === 0) {
+    return 'No assignments due this week. Use the time to get ahead or review past material.';
+  }
+
+  try {
+    const systemPrompt = `You are a helpful academic assistant. Summarize a student's upcoming week clearly and encouragingly.`;
+
+    const userPrompt = `Summarize this week's workload in 3-4 sentences.
+
+Overdue: ${categories.overdue.length}
+Urgent (next 2 days): ${categories.urgent.length}
+This week: ${categories.thisWeek.length}
+
+Assignments:
+${JSON.stringify(assignments, null, 2)}
+
+Highlight the heaviest deadlines and anything that needs attention first, weighing how much of the final grade each one is worth.`;
+
+    return await ai.generateCompletion(systemPrompt, userPrompt);
+  } catch (error) {
+    console.error('  ⚠️  Error generating weekly summary, using fallback:', describeAIError(error));
+    return `You have ${assignments.length} assignments due this week.`;
+  }
+}
+
+/**
+ * Generate an AI day-by-day plan for the week
+ */
+async function generateWeeklyPlan(ai, assignments, week) {
+  if (assignments.length === 0) {
+    return 'Nothing scheduled this week.';
+  }
+
+  try {
+    const systemPrompt = `You are a helpful academic assistant. Build realistic study plans that spread work out before deadlines.`;
+
+    const userPrompt = `Create a day-by-day plan (Monday through Sunday) for the week starting ${week}.
+
+Assignments:
+${JSON.stringify(assignments, null, 2)}
+
+For each day, list which assignments to work on and roughly how long. Give more time to work that counts for more of the final grade. Keep it concise.`;
+
+    return await ai.generateCompletion(systemPrompt, userPrompt);
+  } catch (error) {
+    console.error('  ⚠️  Error generating weekly plan, using fallback:', describeAIError(error));
+    return assignments
+      .map(a => `${a.title} (${a.course}) - ${a.due_date ? `due ${new Date(a.due_date).toLocaleDateString()}` : 'no due date'}`)
+      .join('\n');
+  }
+}
+
+// Export the job function
+export default runWeeklyReview;
+
+// If running directly
+runIfMain(import.meta.url, runWeeklyReview);
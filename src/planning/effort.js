@@ -0,0 +1,59 @@
+/**
+ * Effort estimation for Canvas assignments
+ *
+ * Combines a heuristic (submission type, points, description length)
+ * with the AI's own estimate when one is available.
+ */
+
+// Baseline hours for each Canvas submission type
+const SUBMISSION_TYPE_HOURS = {
+  online_quiz: 0.75,
+  discussion_topic: 1,
+  online_text_entry: 2,
+  online_url: 2,
+  online_upload: 3,
+  media_recording: 1.5,
+  external_tool: 1.5,
+  on_paper: 1,
+  none: 1
+};
+
+// How much weight the AI estimate gets when blended with the heuristic
+const AI_WEIGHT = 0.6;
+
+/**
+ * Round to the nearest half hour, never below half an hour
+ */
+function roundHours(hours) {
+  return Math.max(0.5, Math.round(hours * 2) / 2);
+}
+
+/**
+ * Estimate hours from Canvas metadata alone
+ */
+export function estimateHeuristicHours(assignment) {
+  const types = assignment.submission_types?.length ? assignment.submission_types : ['none'];
+  const baseHours = Math.max(...types.map(type => SUBMISSION_TYPE_HOURS[type] ?? 1));
+
+  // Bigger assignments are worth more points; cap so a 1000-point course doesn't explode
+  const pointsHours = Math.min((assignment.points_possible || 0) / 25, 10);
+
+  // Long descriptions usually mean more requirements
+  const words = (assignment.description || '').replace(/<[^>]*>/g, ' ').split(/\s+/).filter(Boolean).length;
+  const descriptionHours = Math.min(words / 600, 3);
+
+  return roundHours(baseHours + pointsHours + descriptionHours);
+}
+
+/**
+ * Estimate hours for an assignment, blending in the AI estimate if present
+ */
+export function estimateEffort(assignment, aiEstimatedHours) {
+  const heuristicHours = estimateHeuristicHours(assignment);
+
+  if (typeof aiEstimatedHours !== 'number' || aiEstimatedHours <= 0) {
+    return heuristicHours;
+  }
+
+  return roundHours(AI_WEIGHT * aiEstimatedHours + (1 - AI_WEIGHT) * heuristicHours);
+}
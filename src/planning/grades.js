@@ -0,0 +1,159 @@
+/**
+ * Course grades and final-grade projections
+ *
+ * Works out how much of the final grade each assignment is worth from the
+ * course's assignment groups: with weighted groups an assignment gets its
+ * share of the group's weight by points, otherwise its share of all
+ * points. From that come the current grade, how much weight is still
+ * ungraded and the average needed on the rest for each letter grade.
+ * Assignments that don't count towards the final grade, excused work and
+ * zero-point assignments are left out. Group drop rules aren't applied.
+ */
+
+// Canvas's default grading scheme (minimum fraction for each letter)
+export const DEFAULT_GRADING_SCHEME = [
+  { name: 'A', value: 0.94 },
+  { name: 'A-', value: 0.9 },
+  { name: 'B+', value: 0.87 },
+  { name: 'B', value: 0.84 },
+  { name: 'B-', value: 0.8 },
+  { name: 'C+', value: 0.77 },
+  { name: 'C', value: 0.74 },
+  { name: 'C-', value: 0.7 },
+  { name: 'D+', value: 0.67 },
+  { name: 'D', value: 0.64 },
+  { name: 'D-', value: 0.61 },
+  { name: 'F', value: 0 }
+];
+
+/**
+ * Round a percentage to one decimal place
+ */
+function roundPercent(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Check whether an assignment counts towards the final grade
+ */
+function isCounted(assignment) {
+  return !assignment.omit_from_final_grade &&
+    assignment.grading_type !== 'not_graded' &&
+    assignment.points_possible > 0 &&
+    !assignment.submission?.excused;
+}
+
+/**
+ * Check whether an assignment has a score yet
+ */
+function isGraded(assignment) {
+  const submission = assignment.submission;
+  return submission?.score !== null && submission?.score !== undefined && submission.workflow_state === 'graded';
+}
+
+/**
+ * Get the letter grade for a percentage
+ * @param {number} percent
+ * @param {Array<{name, value}>} scheme - Grading scheme, highest first
+ */
+export function letterGrade(percent, scheme = DEFAULT_GRADING_SCHEME) {
+  if (percent === null || percent === undefined) return null;
+  const sorted = [...scheme].sort((a, b) => b.value - a.value);
+  return (sorted.find(grade => percent >= grade.value * 100) ?? sorted[sorted.length - 1])?.name ?? null;
+}
+
+/**
+ * Work out the weight of every assignment in a course
+ * @param {Array} groups - Assignment groups with their `assignments`
+ * @param {boolean} weighted - Whether the course weights its groups
+ * @returns {Map<string, number>} Assignment ID → percent of the final grade
+ */
+export function getGradeImpacts(groups, weighted) {
+  const impacts = new Map();
+  const counted = groups.map(group => ({
+    weight: Number(group.group_weight) || 0,
+    assignments: (group.assignments || []).filter(isCounted)
+  })).filter(group => group.assignments.length > 0);
+
+  const points = group => group.assignments.reduce((total, assignment) => total + assignment.points_possible, 0);
+  const totalPoints = counted.reduce((total, group) => total + points(group), 0);
+  // Canvas scales weights up when some groups have nothing in them
+  const totalWeight = counted.reduce((total, group) => total + group.weight, 0);
+
+  for (const group of counted) {
+    const groupPoints = points(group);
+    for (const assignment of group.assignments) {
+      const impact = weighted
+        ? (totalWeight > 0 ? (group.weight / totalWeight) * (assignment.points_possible / groupPoints) * 100 : 0)
+        : (assignment.points_possible / totalPoints) * 100;
+      impacts.set(String(assignment.id), impact);
+    }
+  }
+
+  return impacts;
+}
+
+/**
+ * Summarize a course's grade and project the final grade
+ * @param {Object} course
+ * @param {Array} course.groups - Assignment groups with their `assignments` and submissions
+ * @param {boolean} course.weighted - Whether the course weights its groups
+ * @param {number} course.currentScore - Canvas's current score, if it shows one
+ * @param {Array<{name, value}>} course.scheme - Grading scheme
+ * @returns {{currentGrade, letter, weightRemaining, minimumGrade, maximumGrade, needed, final, impacts}}
+ */
+export function summarizeCourseGrade({ groups, weighted, currentScore, scheme = DEFAULT_GRADING_SCHEME }) {
+  const impacts = getGradeImpacts(groups, weighted);
+  const assignments = groups.flatMap(group => group.assignments || []).filter(assignment => impacts.has(String(assignment.id)));
+
+  let earned = 0;
+  let gradedWeight = 0;
+  let final = null;
+
+  for (const assignment of assignments) {
+    const impact = impacts.get(String(assignment.id));
+    if (isGraded(assignment)) {
+      earned += impact * (assignment.submission.score / assignment.points_possible);
+      gradedWeight += impact;
+    } else if (!final || impact > final.impact) {
+      final = { name: assignment.name, impact };
+    }
+  }
+
+  const totalWeight = gradedWeight + assignments
+    .filter(assignment => !isGraded(assignment))
+    .reduce((total, assignment) => total + impacts.get(String(assignment.id)), 0);
+  const weightRemaining = Math.max(totalWeight - gradedWeight, 0);
+  const currentGrade = currentScore ?? (gradedWeight > 0 ? (earned / gradedWeight) * 100 : null);
+
+  // Average needed on everything left for each letter, and on the biggest
+  // item left if everything else goes at the current average
+  const cutoffs = [...scheme].sort((a, b) => b.value - a.value).filter(grade => grade.value > 0);
+  const neededOn = (weight, otherPoints) => cutoffs.map(grade => ({
+    letter: grade.name,
+    percent: weight > 0 ? roundPercent(((grade.value * totalWeight - earned - otherPoints) / weight) * 100) : null
+  }));
+  const othersAtCurrent = final ? ((currentGrade ?? 100) / 100) * (weightRemaining - final.impact) : 0;
+
+  return {
+    currentGrade: currentGrade === null ? null : roundPercent(currentGrade),
+    letter: letterGrade(currentGrade, scheme),
+    weightRemaining: roundPercent(weightRemaining),
+    minimumGrade: totalWeight > 0 ? roundPercent((earned / totalWeight) * 100) : null,
+    maximumGrade: totalWeight > 0 ? roundPercent(((earned + weightRemaining) / totalWeight) * 100) : null,
+    needed: neededOn(weightRemaining, 0),
+    final: final && { name: final.name, impact: roundPercent(final.impact), needed: neededOn(final.impact, othersAtCurrent) },
+    impacts
+  };
+}
+
+/**
+ * Describe the averages needed for each letter, e.g. "A: 92% · B: 78%"
+ * Letters already secured or out of reach are left out.
+ */
+export function formatNeeded(needed) {
+  return needed
+    .filter(({ percent }) => percent !== null && percent > 0 && percent <= 100)
+    .map(({ letter, percent }) => `${letter}: ${percent}%`)
+    .join(' · ');
+}
@@ -0,0 +1,209 @@
+/**
+ * Work-block scheduler
+ *
+ * Schedules study sessions backwards from each deadline into the user's
+ * available hours, so every task gets a "start by" time. Tasks with the
+ * latest deadlines are placed first, each as late as possible, which
+ * leaves the earliest free time for whatever is due soonest.
+ *
+ * Available hours come from STUDY_HOURS, in the TIMEZONE the urgency
+ * engine uses, e.g.
+ *   STUDY_HOURS="mon-fri 18:00-22:00; sat,sun 10:00-17:00"
+ */
+
+const SLOT_MINUTES = 30;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+const HORIZON_DAYS = 120;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DEFAULT_STUDY_HOURS = 'mon-fri 18:00-22:00; sat,sun 10:00-17:00';
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+function parseTime(value) {
+  const match = value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid time in STUDY_HOURS: ${value}`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Parse a day list like "mon-fri" or "sat,sun" into day indexes
+ */
+function parseDays(value) {
+  const days = new Set();
+
+  for (const part of value.toLowerCase().split(',')) {
+    const [from, to = from] = part.split('-').map(day => DAY_NAMES.indexOf(day.trim().slice(0, 3)));
+    if (from === -1 || to === -1) throw new Error(`Invalid day in STUDY_HOURS: ${part}`);
+
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Parse availability into a list of weekly windows
+ * @returns {Array<{days: Set<number>, start: number, end: number}>} minutes after midnight
+ */
+export function parseAvailability(value = process.env.STUDY_HOURS || DEFAULT_STUDY_HOURS) {
+  return value.split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [days, times] = entry.split(/\s+/);
+    const [start, end] = (times || '').split('-');
+    if (!start || !end) throw new Error(`Invalid STUDY_HOURS entry: ${entry}`);
+
+    return { days: parseDays(days), start: parseTime(start), end: parseTime(end) };
+  });
+}
+
+/**
+ * Build every free 30-minute slot between two dates, in the given timezone
+ */
+function buildSlots(from, to, availability, timeZone) {
+  const slots = [];
+  const { year, month, day } = getZonedParts(from, timeZone);
+
+  // Walk calendar days in the timezone; Date.UTC only does the date arithmetic
+  for (let date = Date.UTC(year, month - 1, day); ; date += 24 * 60 * 60 * 1000) {
+    const calendar = new Date(date);
+    const wallDate = { year: calendar.getUTCFullYear(), month: calendar.getUTCMonth() + 1, day: calendar.getUTCDate() };
+    if (zonedTime(wallDate, 0, timeZone) >= to) break;
+
+    for (const window of availability) {
+      if (!window.days.has(calendar.getUTCDay())) continue;
+
+      for (let minute = window.start; minute + SLOT_MINUTES <= window.end; minute += SLOT_MINUTES) {
+        const start = zonedTime(wallDate, minute, timeZone);
+        const end = new Date(start.getTime() + SLOT_MS);
+        if (start >= from && end <= to) slots.push({ start, end });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Merge consecutive slots into sessions no longer than maxSessionHours
+ */
+function groupSessions(slots, maxSessionHours) {
+  const maxSlots = Math.max(1, Math.floor(maxSessionHours * 60 / SLOT_MINUTES));
+  const sessions = [];
+
+  for (const slot of slots) {
+    const last = sessions[sessions.length - 1];
+    if (last && last.end.getTime() === slot.start.getTime() && last.slots < maxSlots) {
+      last.end = slot.end;
+      last.slots++;
+    } else {
+      sessions.push({ start: slot.start, end: slot.end, slots: 1 });
+    }
+  }
+
+  return sessions.map(({ start, end }) => ({ start, end }));
+}
+
+// Formatters for reading wall-clock time, per timezone
+const zonedFormatters = new Map();
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @returns {{year, month, day, hour, minute, second}}
+ */
+function getZonedParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  const parts = zonedFormatters.get(timeZone).formatToParts(date);
+  return Object.fromEntries(parts.filter(({ type }) => type !== 'literal').map(({ type, value }) => [type, Number(value)]));
+}
+
+/**
+ * Get the instant a wall-clock time occurs in a timezone
+ * @param {{year, month, day}} date - Calendar date in the timezone
+ * @param {number} minutes - Minutes after midnight
+ */
+function zonedTime({ year, month, day }, minutes, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Correct for the zone's offset, twice in case it changes in between
+  let time = wall;
+  for (let i = 0; i < 2; i++) {
+    const local = getZonedParts(new Date(time), timeZone);
+    time = wall - (Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - time);
+  }
+
+  return new Date(time);
+}
+
+/**
+ * Get midnight at the start of a date's day in a timezone
+ */
+export function startOfDay(date, timeZone) {
+  return zonedTime(getZonedParts(date, timeZone), 0, timeZone);
+}
+
+/**
+ * Schedule work sessions for a set of tasks
+ * @param {Array<{id: string, dueDate: string|Date, hours: number}>} tasks
+ * @returns {Map<string, {sessions: Array, startBy: Date, scheduledHours: number, unscheduledHours: number}>}
+ */
+export function scheduleWorkBlocks(tasks, options = {}) {
+  const now = options.now || new Date();
+  const availability = options.availability || parseAvailability();
+  const maxSessionHours = options.maxSessionHours || Number(process.env.STUDY_SESSION_HOURS) || 2;
+  const timeZone = options.timeZone || process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const pending = tasks
+    .filter(task => task.dueDate && new Date(task.dueDate) > now && task.hours > 0)
+    .sort((a, b) => new Date(b.dueDate) - new Date(a.dueDate));
+
+  const schedule = new Map();
+  if (pending.length === 0) return schedule;
+
+  const horizon = new Date(now.getTime() + HORIZON_DAYS * 24 * 60 * 60 * 1000);
+  const latestDue = new Date(Math.min(new Date(pending[0].dueDate).getTime(), horizon.getTime()));
+  const slots = buildSlots(now, latestDue, availability, timeZone);
+  const taken = new Array(slots.length).fill(false);
+
+  for (const task of pending) {
+    const due = new Date(task.dueDate);
+    const needed = Math.ceil(task.hours * 60 / SLOT_MINUTES);
+    const picked = [];
+
+    // Walk backwards from the deadline, taking free slots as late as possible
+    for (let i = slots.length - 1; i >= 0 && picked.length < needed; i--) {
+      if (taken[i] || slots[i].end > due) continue;
+      taken[i] = true;
+      picked.unshift(slots[i]);
+    }
+
+    const unscheduledHours = (needed - picked.length) * SLOT_MINUTES / 60;
+    const sessions = groupSessions(picked, maxSessionHours);
+
+    schedule.set(task.id, {
+      sessions,
+      // If the work doesn't fit before the deadline, it needed to start already;
+      // the start of today stays the same across runs, so the task isn't rewritten each time
+      startBy: unscheduledHours > 0 || sessions.length === 0 ? startOfDay(now, timeZone) : sessions[0].start,
+      scheduledHours: picked.length * SLOT_MINUTES / 60,
+      unscheduledHours
+    });
+  }
+
+  return schedule;
+}
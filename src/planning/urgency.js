@@ -0,0 +1,198 @@
+/**
+ * Urgency engine shared by task sync, the Notion client and the Canvas client
+ *
+ * Tiers are fixed (overdue, urgent, thisWeek, upcoming, unscheduled, submitted) but their
+ * thresholds and Notion labels are configurable:
+ *   URGENCY_URGENT_DAYS=2
+ *   URGENCY_THIS_WEEK_DAYS=7
+ *   URGENCY_LABELS="urgent:Due Soon,upcoming:Later"
+ *   COURSE_WEIGHTS="CS 101:1.5,PE 100:0.5"   (matched against course name or code)
+ *   TIMEZONE=America/New_York                 (day boundaries for "days until due")
+ *   WEEKLY_CAPACITY_HOURS=25                  (weeks above this are bumped a tier)
+ *   URGENCY_HIGH_IMPACT_PERCENT=10            (tasks worth this much of the final grade become urgent sooner)
+ *   URGENCY_LOW_IMPACT_PERCENT=2              (tasks worth less than this become urgent later)
+ */
+
+export const TIERS = ['overdue', 'urgent', 'thisWeek', 'upcoming', 'unscheduled', 'submitted'];
+
+export const DEFAULT_LABELS = {
+  overdue: 'Overdue',
+  urgent: 'Urgent',
+  thisWeek: 'This Week',
+  upcoming: 'Upcoming',
+  unscheduled: 'Unscheduled',
+  submitted: 'Submitted'
+};
+
+// Weights for tasks that can move the final grade a lot or barely at all
+const HIGH_IMPACT_WEIGHT = 1.5;
+const LOW_IMPACT_WEIGHT = 0.75;
+
+/**
+ * Parse "key:value,key:value" settings into an object
+ */
+function parsePairs(value) {
+  const pairs = {};
+  if (!value) return pairs;
+
+  for (const entry of value.split(',')) {
+    const separator = entry.lastIndexOf(':');
+    if (separator === -1) continue;
+    pairs[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+  }
+
+  return pairs;
+}
+
+/**
+ * Load urgency settings from the environment
+ */
+export function loadUrgencyConfig(env = process.env) {
+  const labels = { ...DEFAULT_LABELS };
+  for (const [tier, label] of Object.entries(parsePairs(env.URGENCY_LABELS))) {
+    if (!TIERS.includes(tier)) {
+      throw new Error(`Unknown urgency tier in URGENCY_LABELS: ${tier} (expected ${TIERS.join(', ')})`);
+    }
+    labels[tier] = label;
+  }
+
+  const courseWeights = {};
+  for (const [course, weight] of Object.entries(parsePairs(env.COURSE_WEIGHTS))) {
+    const value = Number(weight);
+    if (!(value > 0)) throw new Error(`Invalid weight for ${course} in COURSE_WEIGHTS: ${weight}`);
+    courseWeights[course.toLowerCase()] = value;
+  }
+
+  const highImpactPercent = Number(env.URGENCY_HIGH_IMPACT_PERCENT ?? 10);
+  const lowImpactPercent = Number(env.URGENCY_LOW_IMPACT_PERCENT ?? 2);
+  if (!(lowImpactPercent >= 0 && highImpactPercent > lowImpactPercent)) {
+    throw new Error(`URGENCY_HIGH_IMPACT_PERCENT (${highImpactPercent}) must be above URGENCY_LOW_IMPACT_PERCENT (${lowImpactPercent})`);
+  }
+
+  return {
+    urgentDays: Number(env.URGENCY_URGENT_DAYS ?? 2),
+    thisWeekDays: Number(env.URGENCY_THIS_WEEK_DAYS ?? 7),
+    labels,
+    courseWeights,
+    timeZone: env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    weeklyCapacityHours: Number(env.WEEKLY_CAPACITY_HOURS ?? 25),
+    highImpactPercent,
+    lowImpactPercent
+  };
+}
+
+class UrgencyEngine {
+  constructor(config = loadUrgencyConfig()) {
+    this.config = config;
+    this.dayFormatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: config.timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    });
+  }
+
+  /**
+   * Calendar day number of a date in the configured timezone
+   */
+  dayNumber(date) {
+    const [year, month, day] = this.dayFormatter.format(new Date(date)).split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / (1000 * 60 * 60 * 24);
+  }
+
+  /**
+   * Calendar days from now until a date (0 = today) in the configured timezone
+   */
+  daysUntil(date, now = new Date()) {
+    return this.dayNumber(date) - this.dayNumber(now);
+  }
+
+  /**
+   * Weight for a course (>1 makes its tasks urgent sooner)
+   */
+  courseWeight(course) {
+    if (!course) return 1;
+    const name = course.toLowerCase();
+
+    for (const [key, weight] of Object.entries(this.config.courseWeights)) {
+      if (name.includes(key)) return weight;
+    }
+    return 1;
+  }
+
+  /**
+   * Weight for how much of the final grade a task is worth, in percent
+   * (unknown impact counts as average)
+   */
+  impactWeight(gradeImpact) {
+    if (gradeImpact === null || gradeImpact === undefined) return 1;
+    if (gradeImpact >= this.config.highImpactPercent) return HIGH_IMPACT_WEIGHT;
+    if (gradeImpact < this.config.lowImpactPercent) return LOW_IMPACT_WEIGHT;
+    return 1;
+  }
+
+  /**
+   * Classify a single task into a tier
+   * @param {{dueDate, startBy?, course?, completed?, gradeImpact?}} task
+   */
+  classify(task, now = new Date()) {
+    if (task.completed) return 'submitted';
+    if (!task.dueDate) return 'unscheduled';
+    if (new Date(task.dueDate) < now) return 'overdue';
+
+    // Tiers follow the start time when work has been scheduled
+    let days = this.daysUntil(task.dueDate, now);
+    if (task.startBy) {
+      days = Math.min(days, this.daysUntil(task.startBy, now));
+    }
+    days = days / (this.courseWeight(task.course) * this.impactWeight(task.gradeImpact));
+
+    if (days <= this.config.urgentDays) return 'urgent';
+    if (days <= this.config.thisWeekDays) return 'thisWeek';
+    return 'upcoming';
+  }
+
+  /**
+   * Classify a set of tasks, raising a tier for weeks that are overloaded
+   * @param {Array<{dueDate, startBy?, course?, completed?, hours?, gradeImpact?}>} tasks
+   */
+  classifyAll(tasks, now = new Date()) {
+    const tiers = tasks.map(task => this.classify(task, now));
+
+    // Total open hours per week (weeks start on Monday)
+    const weekHours = new Map();
+    const weekOf = task => {
+      const day = this.dayNumber(task.dueDate);
+      // Day 0 (1970-01-01) was a Thursday
+      return day - ((day + 3) % 7);
+    };
+
+    tasks.forEach((task, index) => {
+      if (!['urgent', 'thisWeek', 'upcoming'].includes(tiers[index])) return;
+      const week = weekOf(task);
+      weekHours.set(week, (weekHours.get(week) || 0) + (task.hours || 0));
+    });
+
+    return tiers.map((tier, index) => {
+      if (tier !== 'thisWeek' && tier !== 'upcoming') return tier;
+      if (weekHours.get(weekOf(tasks[index])) <= this.config.weeklyCapacityHours) return tier;
+      return tier === 'upcoming' ? 'thisWeek' : 'urgent';
+    });
+  }
+
+  /**
+   * Notion label for a tier
+   */
+  label(tier) {
+    return this.config.labels[tier];
+  }
+
+  /**
+   * Tier for a Notion label (the inverse of label)
+   */
+  tierForLabel(label) {
+    return TIERS.find(tier => this.config.labels[tier] === label);
+  }
+}
+
+export default UrgencyEngine;
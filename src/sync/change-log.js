@@ -0,0 +1,38 @@
+import { appendFile } from 'fs/promises';
+
+/**
+ * Sync change log
+ *
+ * Records every change sync makes on either side, one JSON object per
+ * line, at SYNC_LOG_FILE (default .sync-log.jsonl), e.g.
+ *   {"at":"2026-01-05T07:00:00.000Z","side":"canvas","action":"complete","task":"Essay 2","key":"..."}
+ * `side` is where the change was written: "notion" or "canvas".
+ */
+class ChangeLog {
+  constructor(path = process.env.SYNC_LOG_FILE || '.sync-log.jsonl') {
+    this.path = path;
+    this.entries = [];
+  }
+
+  /**
+   * Record a change
+   * @param {string} side - Where the change was written ("notion" or "canvas")
+   * @param {string} action - What was done, e.g. "create", "update", "complete"
+   * @param {Object} details - `task` name, `key` and anything else worth keeping
+   */
+  record(side, action, details = {}) {
+    this.entries.push({ at: new Date().toISOString(), side, action, ...details });
+  }
+
+  /**
+   * Append recorded changes to the log file
+   */
+  async save() {
+    if (this.entries.length === 0) return;
+
+    await appendFile(this.path, this.entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    this.entries = [];
+  }
+}
+
+export default ChangeLog;
@@ -0,0 +1,113 @@
+/**
+ * Field ownership for Canvas → Notion sync
+ *
+ * Each task field has one owner. Sync writes every field when it creates a
+ * page, but afterwards it only writes fields owned by Canvas or the AI,
+ * and only when the value actually changed. User-owned fields are left
+ * alone so edits made in Notion survive the nightly run.
+ *
+ * Ownership can be overridden per field with FIELD_OWNERSHIP, e.g.
+ *   FIELD_OWNERSHIP=name:canvas,done:canvas
+ */
+
+export const OWNERS = ['canvas', 'ai', 'user'];
+
+export const DEFAULT_FIELD_OWNERS = {
+  // Canvas-owned: always reflect Canvas
+  kind: 'canvas',
+  dueDate: 'canvas',
+  canvasUrl: 'canvas',
+  instance: 'canvas',
+  canvasId: 'canvas',
+  points: 'canvas',
+  descriptionHash: 'canvas',
+  urgency: 'canvas',
+  submissionStatus: 'canvas',
+  score: 'canvas',
+  gradeImpact: 'canvas',
+
+  // AI-owned: the overview and the planning derived from it
+  aiOverview: 'ai',
+  aiEstimatedHours: 'ai',
+  estimatedHours: 'ai',
+  startBy: 'ai',
+  deliverables: 'ai',
+  difficulty: 'ai',
+
+  // User-owned: set on create, then left to the user
+  name: 'user',
+  course: 'user',
+  done: 'user',
+  notes: 'user',
+  priority: 'user'
+};
+
+/**
+ * Owners that sync is allowed to write on existing pages
+ */
+const SYNC_OWNERS = new Set(['canvas', 'ai']);
+
+/**
+ * Build the field → owner map, applying overrides from FIELD_OWNERSHIP
+ */
+export function getFieldOwners(overrides = process.env.FIELD_OWNERSHIP) {
+  const owners = { ...DEFAULT_FIELD_OWNERS };
+  if (!overrides) return owners;
+
+  for (const entry of overrides.split(',')) {
+    const [field, owner] = entry.split(':').map(part => part.trim());
+    if (!field) continue;
+
+    if (!(field in owners)) {
+      throw new Error(`Unknown field in FIELD_OWNERSHIP: ${field}`);
+    }
+    if (!OWNERS.includes(owner)) {
+      throw new Error(`Invalid owner for ${field} in FIELD_OWNERSHIP: ${owner} (expected ${OWNERS.join(', ')})`);
+    }
+
+    owners[field] = owner;
+  }
+
+  return owners;
+}
+
+/**
+ * Keep only the fields sync writes to existing pages
+ */
+export function pickSyncedFields(data, owners = getFieldOwners()) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([field, value]) => value !== undefined && SYNC_OWNERS.has(owners[field]))
+  );
+}
+
+/**
+ * Compare two field values, treating dates by instant and empty values alike
+ */
+function valuesEqual(field, a, b) {
+  const isEmpty = value => value === undefined || value === null || value === '';
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+
+  if (field === 'dueDate' || field === 'startBy') {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+
+  return a === b;
+}
+
+/**
+ * Pick the fields sync should write to an existing page: those it owns
+ * whose desired value differs from what Notion currently holds
+ */
+export function getOwnedChanges(desired, current, owners = getFieldOwners()) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(desired)) {
+    if (value === undefined) continue;
+    if (!SYNC_OWNERS.has(owners[field])) continue;
+    if (valuesEqual(field, value, current[field])) continue;
+
+    changes[field] = value;
+  }
+
+  return changes;
+}
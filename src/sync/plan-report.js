@@ -0,0 +1,84 @@
+/**
+ * Planned-changes report for `sync --dry-run`
+ */
+
+/**
+ * Create an empty sync plan
+ */
+export function createSyncPlan() {
+  return {
+    create: [],
+    update: [],
+    overviews: [],
+    bodies: [],
+    urgency: [],
+    removed: [],
+    canvas: [],
+    courses: []
+  };
+}
+
+// How each planner change is described
+const CANVAS_ACTIONS = {
+  complete: 'mark complete',
+  reopen: 'mark incomplete',
+  note: 'new planner note'
+};
+
+/**
+ * Format a field value for display
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '∅';
+  const text = String(value).replace(/\s+/g, ' ');
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+/**
+ * Print a sync plan as a human-readable report
+ */
+export function printSyncPlan(plan, write = console.log) {
+  write('\n🧪 Dry run - nothing was written to Notion or Canvas\n');
+
+  write(`✨ Pages to create (${plan.create.length})`);
+  plan.create.forEach(task => {
+    write(`  + ${task.name} - ${task.course} (Due: ${task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'none'}, ${task.urgency})`);
+  });
+
+  write(`\n📝 Pages to update (${plan.update.length})`);
+  plan.update.forEach(task => {
+    write(`  ~ ${task.name}`);
+    Object.entries(task.changes).forEach(([field, { from, to }]) => {
+      write(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+    });
+  });
+
+  write(`\n📄 Page bodies to refresh (${plan.bodies.length})`);
+  plan.bodies.forEach(name => write(`  • ${name}`));
+
+  write(`\n🗑️  Tasks removed from Canvas (${plan.removed.length})`);
+  plan.removed.forEach(task => {
+    write(`  - ${task.name} (missing since ${new Date(task.missingSince).toLocaleDateString()}, ${task.action})`);
+  });
+
+  write(`\n🎓 Canvas planner changes (${plan.canvas.length})`);
+  plan.canvas.forEach(change => {
+    write(`  ${change.action === 'note' ? '+' : '~'} ${change.name} (${CANVAS_ACTIONS[change.action]})`);
+  });
+
+  write(`\n📊 Course grades to update (${plan.courses.length})`);
+  plan.courses.forEach(course => {
+    write(`  ~ ${course.name}`);
+    Object.entries(course.changes).forEach(([field, { from, to }]) => {
+      write(`      ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+    });
+  });
+
+  write(`\n🤖 AI overviews to generate (${plan.overviews.length})`);
+  plan.overviews.forEach(name => write(`  • ${name}`));
+
+  write(`\n⏰ Urgency changes (${plan.urgency.length})`);
+  plan.urgency.forEach(change => {
+    write(`  ~ ${change.name}: ${formatValue(change.from)} → ${change.to}`);
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * Detection of Notion tasks whose Canvas item disappeared
+ *
+ * An item counts as removed once sync has stopped seeing it for the grace
+ * period, so one flaky Canvas response can't wipe out tasks. What happens
+ * then is set by REMOVED_TASK_POLICY:
+ *   flag    - set Submission Status to "Removed from Canvas" (default)
+ *   archive - archive the Notion page
+ *   move    - copy the page to REMOVED_TASK_DATABASE_ID, then archive it
+ *   ignore  - leave the page alone
+ * and the grace period by REMOVED_TASK_GRACE_HOURS (default 48).
+ */
+
+export const REMOVAL_POLICIES = ['flag', 'archive', 'move', 'ignore'];
+
+/**
+ * Load the removal policy from the environment
+ * @returns {{policy: string, graceHours: number, archiveDatabaseId: string}}
+ */
+export function loadRemovalConfig(env = process.env) {
+  const policy = (env.REMOVED_TASK_POLICY || 'flag').toLowerCase();
+  if (!REMOVAL_POLICIES.includes(policy)) {
+    throw new Error(`Unknown REMOVED_TASK_POLICY: ${env.REMOVED_TASK_POLICY} (expected ${REMOVAL_POLICIES.join(', ')})`);
+  }
+
+  const graceHours = Number(env.REMOVED_TASK_GRACE_HOURS ?? 48);
+  if (!(graceHours >= 0)) {
+    throw new Error(`REMOVED_TASK_GRACE_HOURS must be a number of hours, got: ${env.REMOVED_TASK_GRACE_HOURS}`);
+  }
+
+  if (policy === 'move' && !env.REMOVED_TASK_DATABASE_ID) {
+    throw new Error('REMOVED_TASK_POLICY=move needs REMOVED_TASK_DATABASE_ID');
+  }
+
+  return { policy, graceHours, archiveDatabaseId: env.REMOVED_TASK_DATABASE_ID };
+}
+
+// Sources each kind of item is listed by (open assignments are also
+// to-dos, but closed ones aren't)
+const SOURCES_BY_KIND = {
+  assignment: ['assignments'],
+  event: ['planner', 'calendar'],
+  note: ['planner'],
+  quiz: ['planner'],
+  discussion: ['planner'],
+  page: ['planner']
+};
+
+/**
+ * Split a task key into its Canvas host, course and item ID
+ * Keys without a course (matched by URL, see getTaskKey) take it from the
+ * task's Canvas URL; course is "user" for planner notes and null if unknown.
+ */
+function parseTaskKey(key, canvasUrl) {
+  const [host, ...rest] = key.split('/');
+  const itemId = rest.pop();
+  const courseId = canvasUrl?.match(/\/courses\/(\d+)/)?.[1];
+  const course = rest[0] ?? (courseId ? `course_${courseId}` : itemId.startsWith('note-') ? 'user' : null);
+
+  return { host, course, itemId };
+}
+
+/**
+ * Check whether Canvas would have returned an item in this run
+ * Only items from fetched courses and enabled sources count. Assignments
+ * are always listed; planner items and calendar events are only fetched
+ * for a date window, so older ones aren't missing.
+ * @param {string} key - Task key (see getCanvasId and getTaskKey)
+ * @param {Object} fields - The task's fields in Notion (`dueDate` and `canvasUrl`)
+ * @param {{start: Date, end: Date}} window - Date window planner items were fetched for
+ * @param {Object} scope - What was fetched (see CanvasAccounts.getFetchScope)
+ */
+export function isExpectedInFetch(key, { dueDate, canvasUrl }, window, scope) {
+  const { host, course, itemId } = parseTaskKey(key, canvasUrl);
+  const kind = /^\d+$/.test(itemId) ? 'assignment' : itemId.split('-')[0];
+
+  if (!(SOURCES_BY_KIND[kind] || []).some(source => scope.sources.includes(source))) return false;
+  if (course === 'user' ? !scope.personalHosts.has(host) : !scope.courseKeys.has(`${host}/${course}`)) return false;
+
+  if (kind === 'assignment') return true;
+  if (!dueDate) return false;
+
+  const due = new Date(dueDate);
+  return due >= window.start && due <= window.end;
+}
+
+/**
+ * Find tasks whose Canvas item was not returned, and update their missing state
+ * @param {Map<string, Object>} existingTasks - Notion tasks keyed by Canvas ID or URL key
+ * @param {Set<string>} fetchedKeys - Keys of every item Canvas returned
+ * @param {Object} options
+ * @param {Set<string>} options.syncedPageIds - Pages items were synced to this run (whatever their URL)
+ * @param {SyncStateStore} options.state - Remembers when each task was first missed
+ * @param {Function} options.readFields - Reads a task page's fields
+ * @param {{start: Date, end: Date}} options.window - Date window planner items were fetched for
+ * @param {Object} options.scope - Courses and sources that were fetched (see CanvasAccounts.getFetchScope)
+ * @param {number} options.graceHours - How long a task must be missing
+ * @returns {Array<{key, task, fields, missingSince: Date}>} Tasks past the grace period
+ */
+export function findRemovedTasks(existingTasks, fetchedKeys, { state, readFields, window, scope, graceHours, syncedPageIds = new Set(), now = new Date() }) {
+  const removed = [];
+
+  for (const [key, task] of existingTasks) {
+    if (fetchedKeys.has(key) || syncedPageIds.has(task.id)) {
+      state.clearMissing(key);
+      continue;
+    }
+
+    const fields = readFields(task);
+    if (!isExpectedInFetch(key, fields, window, scope)) continue;
+
+    const missingSince = state.markMissing(key, task.id, now);
+    if (now - missingSince >= graceHours * 60 * 60 * 1000) {
+      removed.push({ key, task, fields, missingSince });
+    }
+  }
+
+  return removed;
+}
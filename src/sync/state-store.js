@@ -0,0 +1,156 @@
+import { readFile, writeFile, rename } from 'fs/promises';
+import { createHash } from 'crypto';
+
+/**
+ * Local sync state store
+ *
+ * Remembers, per Canvas assignment, the `updated_at` last seen, a hash of
+ * the data last written to Notion and the Notion page it was written to.
+ * Sync uses it to skip assignments that haven't changed since the last run,
+ * and to tell how long an assignment has been missing from Canvas. Two-way
+ * sync also keeps the last Done state both sides agreed on, per item, and
+ * the daily update keeps what it last reported, so each update only shows
+ * what changed since the one before.
+ * Stored as JSON at SYNC_STATE_FILE (default .assignment-cache.json).
+ */
+class SyncStateStore {
+  constructor(path = process.env.SYNC_STATE_FILE || '.assignment-cache.json') {
+    this.path = path;
+    this.assignments = {};
+    this.planner = {};
+    this.reported = {};
+    this.reportedAt = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Load state from disk (a missing file is an empty state)
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await readFile(this.path, 'utf8'));
+      this.assignments = data.assignments || {};
+      this.planner = data.planner || {};
+      this.reported = data.reported || {};
+      this.reportedAt = data.reportedAt || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read sync state from ${this.path}, starting fresh:`, error.message);
+      }
+      this.assignments = {};
+      this.planner = {};
+      this.reported = {};
+      this.reportedAt = null;
+    }
+    return this;
+  }
+
+  /**
+   * Write state to disk if anything changed
+   */
+  async save() {
+    if (!this.dirty) return;
+
+    // Write to a temp file first so a crash can't leave half a file behind
+    const tempPath = `${this.path}.tmp`;
+    await writeFile(tempPath, JSON.stringify({
+      version: 1,
+      assignments: this.assignments,
+      planner: this.planner,
+      reported: this.reported,
+      reportedAt: this.reportedAt
+    }, null, 2));
+    await rename(tempPath, this.path);
+    this.dirty = false;
+  }
+
+  get(assignmentId) {
+    return this.assignments[assignmentId];
+  }
+
+  set(assignmentId, record) {
+    this.assignments[assignmentId] = { ...record, syncedAt: new Date().toISOString() };
+    this.dirty = true;
+  }
+
+  delete(assignmentId) {
+    if (!this.assignments[assignmentId]) return;
+    delete this.assignments[assignmentId];
+    this.dirty = true;
+  }
+
+  /**
+   * Get the Done state last synced between Notion and the Canvas planner
+   */
+  getPlannerState(assignmentId) {
+    return this.planner[assignmentId];
+  }
+
+  setPlannerState(assignmentId, record) {
+    this.planner[assignmentId] = { ...record, syncedAt: new Date().toISOString() };
+    this.dirty = true;
+  }
+
+  /**
+   * Get the fields the last daily update saw for an item (dueDate, points, descriptionHash)
+   */
+  getReported(assignmentId) {
+    return this.reported[assignmentId];
+  }
+
+  /**
+   * Remember the fields a daily update saw for every item it covered
+   * @param {Object<string, Object>} records - Fields keyed by item key
+   */
+  setReported(records, now = new Date()) {
+    Object.assign(this.reported, records);
+    this.reportedAt = now.toISOString();
+    this.dirty = true;
+  }
+
+  /**
+   * Note that Canvas didn't return an assignment this run
+   * @returns {Date} When it was first found missing
+   */
+  markMissing(assignmentId, notionPageId, now = new Date()) {
+    const record = this.assignments[assignmentId] || { notionPageId };
+    if (!record.missingSince) {
+      this.assignments[assignmentId] = { ...record, missingSince: now.toISOString() };
+      this.dirty = true;
+    }
+    return new Date(this.assignments[assignmentId].missingSince);
+  }
+
+  /**
+   * Forget that an assignment was missing once Canvas returns it again
+   */
+  clearMissing(assignmentId) {
+    const record = this.assignments[assignmentId];
+    if (!record?.missingSince) return;
+
+    const { missingSince, ...rest } = record;
+    this.assignments[assignmentId] = rest;
+    this.dirty = true;
+  }
+
+  /**
+   * Whether an assignment is unchanged since it was last written to this Notion page
+   */
+  isUnchanged(assignmentId, notionPageId, updatedAt, hash) {
+    const record = this.get(assignmentId);
+    return record?.notionPageId === notionPageId && record.updatedAt === updatedAt && record.hash === hash;
+  }
+
+  /**
+   * Hash the data that would be written to Notion
+   */
+  static hashContent(data) {
+    const sorted = Object.keys(data).sort().reduce((result, key) => {
+      result[key] = data[key];
+      return result;
+    }, {});
+    return createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+  }
+}
+
+export default SyncStateStore;
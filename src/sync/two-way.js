@@ -0,0 +1,49 @@
+/**
+ * Two-way sync of Done between Notion and the Canvas planner
+ *
+ * With TWO_WAY_SYNC=true, ticking Done in Notion marks the item complete
+ * in the Canvas planner (through a planner override), marking it complete
+ * in Canvas ticks Done in Notion, and tasks created only in Notion become
+ * Canvas planner notes. The first sync of an item merges the two sides
+ * (done on either counts as done); after that, the side that changed since
+ * the last sync wins.
+ */
+
+/**
+ * Check whether two-way sync is turned on
+ */
+export function isTwoWayEnabled(env = process.env) {
+  const value = (env.TWO_WAY_SYNC || 'false').toLowerCase();
+  if (!['true', 'false'].includes(value)) {
+    throw new Error(`TWO_WAY_SYNC must be true or false, got: ${env.TWO_WAY_SYNC}`);
+  }
+  return value === 'true';
+}
+
+/**
+ * Decide which side's Done state should be copied to the other
+ * @param {Object} sides
+ * @param {boolean} sides.notionDone - Done checkbox in Notion
+ * @param {boolean} sides.canvasDone - Marked complete in the Canvas planner
+ * @param {boolean} sides.lastDone - State both sides agreed on at the last sync, if any
+ * @param {string} sides.syncedAt - When that state was saved
+ * @param {string} sides.canvasEditedAt - When the planner override was last updated
+ * @returns {'notion'|'canvas'|null} The side that wins, or null if they agree
+ */
+export function resolveDone({ notionDone, canvasDone, lastDone, syncedAt, canvasEditedAt }) {
+  if (notionDone === canvasDone) return null;
+
+  // Never synced: sync edits every Notion page itself, so its edit time says
+  // nothing about the student. Done on either side means done.
+  if (lastDone === undefined) return notionDone ? 'notion' : 'canvas';
+
+  const notionChanged = notionDone !== lastDone;
+  const canvasChanged = canvasDone !== lastDone;
+  if (notionChanged && !canvasChanged) return 'notion';
+  if (canvasChanged && !notionChanged) return 'canvas';
+
+  // Both changed: Canvas wins only if its override moved after the last sync
+  const canvasTime = canvasEditedAt ? new Date(canvasEditedAt).getTime() : 0;
+  const syncedTime = syncedAt ? new Date(syncedAt).getTime() : 0;
+  return canvasTime > syncedTime ? 'canvas' : 'notion';
+}